@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { createId } from '../lib/store.js';
+import { describeChannel, dispatchAlerts, getAlertChannels, getDeliveryLog, saveAlertChannels, summarizeDeliveries } from '../lib/alerts.js';
+import { validate, list, object, oneOf, string } from '../lib/validation.js';
+
+// Alert delivery channels and log.
+//
+// GET                         channels (secrets masked) and the delivery log
+// POST { channels: [...] }    replaces the stored channels; each is
+//                             { type: 'webhook', url, headers? } |
+//                             { type: 'telegram', botToken, chatId, apiBaseUrl? } |
+//                             { type: 'discord', webhookUrl }
+//                             plus optional id, enabled, alertTypes and template
+// POST { action: 'test', channelId? } sends a test alert, ignoring dedupe
+//
+// POSTs need the ALERTS_ADMIN_SECRET value in an X-Admin-Secret (or
+// `Authorization: Bearer`) header; without that variable they are refused.
+// Channel URLs are restricted as described in lib/alerts.js.
+
+const MAX_CHANNELS = 20;
+
+// Test alerts must be delivered well inside the function's default duration
+const TEST_BUDGET_MS = 8000;
+
+// Channel fields are checked per type by saveAlertChannels()
+const CHANNELS_SCHEMA = {
+  action: oneOf(['test']),
+  channelId: string({ maxLength: 100 }),
+  channels: list({ of: object(), max: MAX_CHANNELS, required: input => input.action !== 'test' })
+};
+
+function checkAdminSecret(req) {
+  const expected = process.env.ALERTS_ADMIN_SECRET;
+  if (!expected) {
+    throw new ScanError('UNAUTHORIZED', 'Alert channels cannot be changed: ALERTS_ADMIN_SECRET is not set on the server');
+  }
+
+  const headers = req.headers || {};
+  const bearer = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  const given = headers['x-admin-secret'] || (bearer ? bearer[1] : '');
+  // Compare digests so the comparison takes the same time whatever the length
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (!given || !crypto.timingSafeEqual(digest(given), digest(expected))) {
+    throw new ScanError('UNAUTHORIZED', 'Missing or wrong admin secret');
+  }
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  try {
+    if (req.method === 'GET') {
+      const channels = await getAlertChannels();
+      const { log } = await getDeliveryLog();
+      res.status(200).json({ success: true, channels: channels.map(describeChannel), log });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      throw new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`);
+    }
+
+    checkAdminSecret(req);
+
+    let body;
+    try {
+      body = parseJsonBody(req);
+    } catch (parseError) {
+      throw new ScanError('INVALID_REQUEST', 'Invalid JSON in request body', { parseError: parseError.message });
+    }
+
+    const { action, channelId, channels: requested } = validate(CHANNELS_SCHEMA, body).values;
+
+    if (action === 'test') {
+      const channels = (await getAlertChannels()).filter(channel => !channelId || channel.id === channelId);
+      if (channels.length === 0) throw new ScanError('NOT_FOUND', 'No alert channels configured');
+
+      const entries = await dispatchAlerts([{
+        id: createId('alert'),
+        type: 'test',
+        severity: 'info',
+        createdAt: new Date().toISOString(),
+        message: 'Test alert from DCA Tracker'
+      }], { channels, force: true, deadline: Date.now() + TEST_BUDGET_MS });
+
+      res.status(200).json({ success: entries.every(entry => entry.status === 'sent'), deliveries: entries, ...summarizeDeliveries(entries) });
+      return;
+    }
+
+    const channels = await saveAlertChannels(requested);
+    res.status(200).json({ success: true, channels: channels.map(describeChannel) });
+  } catch (error) {
+    console.error('Alert channel error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,99 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../lib/rpc-pool.js';
+import { createCachedConnection } from '../lib/rpc-cache.js';
+import { createFundingRegistry } from '../lib/funding-sources.js';
+import { getDiscoveryJob } from '../lib/discovery-jobs.js';
+import { buildFundingGraph, detectClusters } from '../lib/funding-graph.js';
+import { validate, address, boolean, list, object, string, RPC_FIELDS, FUNDING_SOURCES_FIELD, MAX_DISCOVERY_WALLETS } from '../lib/validation.js';
+
+// Funding graph and likely single-operator clusters.
+//
+// POST { jobId } builds the graph from an auto-discovery job's funder -> fresh
+// wallet transfers; POST { wallets: [{ address, fundingSource, fundingAmount,
+// fundedAt, discoveredFrom }] } builds it from any list (scan results work).
+// Both accept rpcEndpoint, rpcEndpoints, fundingSources and expand (default
+// true: follow onward SOL/token transfers of each fresh wallet).
+// GET ?jobId=... does the same for a job with the server's RPC endpoints.
+
+// Must stay below maxDuration for this function in vercel.json
+const GRAPH_BUDGET_MS = 40000;
+
+const CLUSTERS_SCHEMA = {
+  jobId: string({ maxLength: 100 }),
+  // As many wallets as one discovery job can hold
+  wallets: list({ of: object({ address: address({ required: true }) }), max: MAX_DISCOVERY_WALLETS }),
+  expand: boolean({ default: true }),
+  fundingSources: FUNDING_SOURCES_FIELD,
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let params = req.query || {};
+  if (req.method === 'POST') {
+    try {
+      params = parseJsonBody(req);
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    const { jobId, wallets, rpcEndpoint, rpcEndpoints, fundingSources, expand } = validate(CLUSTERS_SCHEMA, params).values;
+
+    let discoveries;
+    if (jobId) {
+      const job = await getDiscoveryJob(jobId);
+      if (!job) throw new ScanError('NOT_FOUND', `Discovery job ${jobId} not found`);
+      // Jobs created before discoveries were recorded only have their insider results
+      discoveries = job.discoveries || job.results;
+    } else if (Array.isArray(wallets)) {
+      discoveries = wallets;
+    } else {
+      throw new ScanError('INVALID_REQUEST', 'Send a jobId or a wallets array');
+    }
+
+    discoveries = discoveries.filter(entry => entry && entry.address && entry.fundingSource);
+
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const failures = [];
+    const graph = await buildFundingGraph(connection, discoveries, {
+      fundingRegistry: createFundingRegistry(fundingSources),
+      deadline: expand ? startedAt + GRAPH_BUDGET_MS : 0,
+      failures
+    });
+    const clusters = detectClusters(graph);
+
+    console.log(`Funding graph: ${graph.nodes.length} nodes, ${graph.edges.length} edges, ${clusters.length} clusters in ${Date.now() - startedAt}ms`);
+
+    res.status(200).json({
+      success: true,
+      clusters,
+      graph,
+      stats: {
+        wallets: discoveries.length,
+        nodes: graph.nodes.length,
+        edges: graph.edges.length,
+        expanded: graph.nodes.filter(node => node.expanded).length,
+        likelySingleOperator: clusters.filter(cluster => cluster.likelySingleOperator).length
+      },
+      failures,
+      code: failures.length > 0 ? 'PARTIAL' : null,
+      rpc: connection.report(),
+      cache: connection.cacheStats()
+    });
+  } catch (error) {
+    console.error('Funding graph error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,60 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { buysFromWallet, collectStoredBuys, detectConvergence, DEFAULT_CONVERGENCE_OPTIONS } from '../lib/convergence.js';
+import { validate, boolean, integer, list, number, MAX_DISCOVERY_WALLETS } from '../lib/validation.js';
+
+// Copy-trade signals: insiders sharing a funder that bought the same mint
+// within a time window.
+//
+// GET ?minWallets=3&windowMinutes=60 uses the watchlist and monitor alerts.
+// POST { wallets, minWallets, windowMinutes, includeStored } also takes analyzed
+// wallets from a scan (only insiders with a funding source count).
+
+const CONVERGENCE_SCHEMA = {
+  minWallets: integer({ min: 2, default: DEFAULT_CONVERGENCE_OPTIONS.minWallets }),
+  windowMinutes: number({ min: 0, exclusiveMin: true, default: DEFAULT_CONVERGENCE_OPTIONS.windowSeconds / 60 }),
+  wallets: list({ max: MAX_DISCOVERY_WALLETS, default: [] }),
+  includeStored: boolean({ default: true })
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let body = {};
+  if (req.method === 'POST') {
+    try {
+      body = parseJsonBody(req);
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  try {
+    const { minWallets, windowMinutes, wallets, includeStored } = validate(CONVERGENCE_SCHEMA, req.method === 'POST' ? body : req.query).values;
+    const options = { minWallets, windowSeconds: Math.round(windowMinutes * 60) };
+
+    const buys = wallets
+      .filter(wallet => wallet && wallet.isInsider)
+      .flatMap(wallet => buysFromWallet(wallet));
+    if (includeStored) buys.push(...await collectStoredBuys());
+
+    const signals = detectConvergence(buys, options);
+
+    res.status(200).json({
+      success: true,
+      signals,
+      options,
+      buysConsidered: buys.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Convergence error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,133 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../lib/rpc-pool.js';
+import { createCachedConnection } from '../lib/rpc-cache.js';
+import { storeBackend } from '../lib/store.js';
+import { createDiscoveryJob, getDiscoveryJob, getJobResults, runDiscoveryStep, summarizeJob } from '../lib/discovery-jobs.js';
+import { MAX_ANALYSIS_TRANSACTIONS } from '../lib/scanner.js';
+import { validate, integer, object, string, RPC_FIELDS, FUNDING_SOURCES_FIELD, MAX_DISCOVERY_WALLETS } from '../lib/validation.js';
+
+// Resumable auto-discovery.
+//
+// POST { maxWalletsToDiscover, scanDepth, rpcEndpoint, rpcEndpoints, fundingSources, ruleset }
+//   creates a job and runs its first step.
+// POST { jobId, rpcEndpoint, rpcEndpoints } continues the job from its cursor.
+// GET ?jobId=... reports progress without doing any work.
+//
+// Each step stops well inside the function's maxDuration; callers keep posting
+// the job id until `job.status` is `completed`.
+
+// Must stay below maxDuration for this function in vercel.json
+const STEP_BUDGET_MS = 50000;
+
+// Without the KV backend a job only exists on the instance that created it
+function jobNotFound(jobId) {
+  const hint = process.env.VERCEL && storeBackend() === 'file'
+    ? ' (jobs are kept in this instance\'s /tmp; set KV_REST_API_URL and KV_REST_API_TOKEN to share them across instances)'
+    : '';
+  return new ScanError('NOT_FOUND', `Discovery job ${jobId} not found${hint}`);
+}
+
+const PROGRESS_SCHEMA = {
+  jobId: string({ maxLength: 100, required: true })
+};
+
+const STEP_SCHEMA = {
+  jobId: string({ maxLength: 100 }),
+  maxWalletsToDiscover: integer({ min: 1, max: MAX_DISCOVERY_WALLETS, clamp: true }),
+  scanDepth: integer({ min: 1, max: MAX_ANALYSIS_TRANSACTIONS, clamp: true }),
+  fundingSources: FUNDING_SOURCES_FIELD,
+  ruleset: object(),
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method === 'GET') {
+    let jobId;
+    try {
+      ({ jobId } = validate(PROGRESS_SCHEMA, req.query).values);
+    } catch (validationError) {
+      sendError(res, validationError);
+      return;
+    }
+
+    const job = await getDiscoveryJob(jobId).catch(() => null);
+    if (!job) {
+      sendError(res, jobNotFound(jobId));
+      return;
+    }
+
+    try {
+      res.status(200).json({ success: true, job: summarizeJob(job), wallets: await getJobResults(job), failures: job.failures });
+    } catch (error) {
+      console.error(`Could not load results of discovery job ${jobId}:`, error);
+      sendError(res, error, { job: summarizeJob(job) });
+    }
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (parseError) {
+    sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+    return;
+  }
+
+  let request;
+  try {
+    request = validate(STEP_SCHEMA, body);
+  } catch (validationError) {
+    sendError(res, validationError);
+    return;
+  }
+
+  const { jobId, rpcEndpoint, rpcEndpoints, maxWalletsToDiscover, scanDepth, fundingSources, ruleset } = request.values;
+
+  try {
+    let id = jobId;
+    if (!id) {
+      const created = await createDiscoveryJob({ maxWallets: maxWalletsToDiscover, scanDepth, fundingSources, ruleset });
+      id = created.id;
+      console.log(`Created discovery job ${id}:`, created.params);
+    }
+
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const job = await runDiscoveryStep(connection, id, { budgetMs: STEP_BUDGET_MS });
+
+    if (!job) {
+      sendError(res, jobNotFound(id));
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      job: summarizeJob(job),
+      wallets: await getJobResults(job),
+      failures: job.failures,
+      adjusted: request.adjusted,
+      code: job.failures.length > 0 ? 'PARTIAL' : null,
+      rpc: connection.report(),
+      cache: connection.cacheStats(),
+      message: job.status === 'completed'
+        ? `Auto-discovery completed: ${job.results.length} insider wallets found from ${job.discovered} discovered wallets`
+        : `Auto-discovery in progress: ${job.analyzed}/${job.discovered} discovered wallets analyzed`
+    });
+  } catch (error) {
+    if (error.code === 'JOB_BUSY') {
+      const job = await getDiscoveryJob(jobId);
+      sendError(res, error, { job: summarizeJob(job) });
+      return;
+    }
+
+    console.error('Discovery step error:', error);
+    sendError(res, error);
+  }
+}
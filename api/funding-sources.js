@@ -0,0 +1,42 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { createFundingRegistry, FUNDING_SOURCE_TYPES } from '../lib/funding-sources.js';
+import { validate, FUNDING_SOURCES_FIELD } from '../lib/validation.js';
+
+// GET returns the default funding-source registry.
+// POST with { fundingSources } returns the registry merged with those overrides,
+// exactly as a scan request carrying the same overrides would see it.
+export default function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let overrides = [];
+  if (req.method === 'POST') {
+    let body;
+    try {
+      body = parseJsonBody(req);
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+    try {
+      overrides = validate({ fundingSources: FUNDING_SOURCES_FIELD }, body).values.fundingSources || [];
+    } catch (validationError) {
+      sendError(res, validationError);
+      return;
+    }
+  }
+
+  const registry = createFundingRegistry(overrides);
+
+  res.status(200).json({
+    success: true,
+    sources: registry.list(),
+    types: FUNDING_SOURCE_TYPES,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,129 @@
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError, classifyError } from '../lib/errors.js';
+import { createRpcPool, rateLimitSnapshot, redactEndpoint, resolveRpcEndpoints } from '../lib/rpc-pool.js';
+import { instanceCacheStats } from '../lib/rpc-cache.js';
+import { storeBackend } from '../lib/store.js';
+import { validate, RPC_FIELDS } from '../lib/validation.js';
+
+// Health and diagnostics: /api/health
+//
+// GET
+// POST { rpcEndpoint, rpcEndpoints }
+//
+// Reports the deployed version and build commit, then probes every configured
+// RPC endpoint once with getSlot: reachability, latency and slot lag behind
+// the furthest endpoint. Also returns this instance's RPC cache stats and the
+// endpoints it has seen rate limited. Status is `ok` when every endpoint
+// answers, `degraded` when some do and `down` (HTTP 503) when none does.
+
+const PROBE_TIMEOUT_MS = 5000;
+
+async function readVersion() {
+  try {
+    const pkg = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+    return pkg.version || null;
+  } catch (error) {
+    console.warn('Could not read package version:', error.message);
+    return null;
+  }
+}
+
+// Vercel sets the commit at build time; locally ask git. Resolved once per
+// instance, when the module loads, so requests never wait on a git process.
+function buildCommit() {
+  const fromEnv = process.env.VERCEL_GIT_COMMIT_SHA || process.env.GIT_COMMIT;
+  if (fromEnv) return fromEnv;
+  if (process.env.VERCEL) return null;
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { timeout: 2000, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+const BUILD_COMMIT = buildCommit();
+
+// One getSlot per endpoint, on its own pool so a slow endpoint is never retried elsewhere
+async function probeEndpoint(url) {
+  const pool = createRpcPool([url], { maxAttempts: 1, timeoutMs: PROBE_TIMEOUT_MS });
+  const startedAt = Date.now();
+  try {
+    const slot = await pool.getSlot();
+    return { endpoint: redactEndpoint(url), reachable: true, latencyMs: Date.now() - startedAt, slot };
+  } catch (error) {
+    const scanError = classifyError(error);
+    return {
+      endpoint: redactEndpoint(url),
+      reachable: false,
+      latencyMs: Date.now() - startedAt,
+      slot: null,
+      code: scanError.code,
+      error: scanError.message
+    };
+  }
+}
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let params = req.query || {};
+  if (req.method === 'POST') {
+    try {
+      params = { ...params, ...parseJsonBody(req) };
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  try {
+    const { rpcEndpoint, rpcEndpoints } = validate(RPC_FIELDS, params).values;
+
+    const [version, endpoints] = await Promise.all([
+      readVersion(),
+      Promise.all(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints }).map(probeEndpoint))
+    ]);
+
+    const highestSlot = Math.max(0, ...endpoints.map(endpoint => endpoint.slot || 0));
+    for (const endpoint of endpoints) {
+      endpoint.slotLag = endpoint.reachable ? highestSlot - endpoint.slot : null;
+    }
+
+    const reachable = endpoints.filter(endpoint => endpoint.reachable).length;
+    const status = reachable === endpoints.length ? 'ok' : reachable > 0 ? 'degraded' : 'down';
+
+    console.log(`Health: ${status}, ${reachable}/${endpoints.length} RPC endpoints reachable`);
+
+    res.status(status === 'down' ? 503 : 200).json({
+      success: status !== 'down',
+      status,
+      version,
+      commit: BUILD_COMMIT,
+      runtime: {
+        node: process.version,
+        platform: process.env.VERCEL ? 'vercel' : 'local',
+        region: process.env.VERCEL_REGION || null,
+        fixtureMode: process.env.RPC_FIXTURE_MODE || null,
+        store: storeBackend(),
+        uptimeSeconds: Math.round(process.uptime())
+      },
+      rpc: {
+        highestSlot: highestSlot || null,
+        endpoints
+      },
+      cache: instanceCacheStats(),
+      rateLimits: rateLimitSnapshot(),
+      checkedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Health check error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,102 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../lib/rpc-pool.js';
+import { createCachedConnection } from '../lib/rpc-cache.js';
+import { alertsSince, getMonitorState, runMonitorTick, summarizeMonitor } from '../lib/monitor.js';
+import { dispatchAlerts, summarizeDeliveries } from '../lib/alerts.js';
+import { validate, boolean, date, object, RPC_FIELDS, FUNDING_SOURCES_FIELD } from '../lib/validation.js';
+
+// Activity monitor for watchlist wallets and registered funders.
+//
+// POST { rpcEndpoint, rpcEndpoints, fundingSources, ruleset, includeFunders }
+//   runs one tick: fetches signatures newer than each target's cursor and
+//   returns the alerts they produced. New alerts are also delivered to the
+//   configured webhook/Telegram/Discord channels (see /api/alerts).
+// GET ?since=<ISO time> returns stored alerts (newest first) without any RPC work.
+
+// Must stay below maxDuration for this function in vercel.json
+const TICK_BUDGET_MS = 50000;
+
+const ALERTS_SCHEMA = {
+  since: date()
+};
+
+const TICK_SCHEMA = {
+  includeFunders: boolean({ default: true }),
+  fundingSources: FUNDING_SOURCES_FIELD,
+  ruleset: object(),
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  const startedAt = Date.now();
+  if (applyCors(req, res)) return;
+
+  if (req.method === 'GET') {
+    let since;
+    try {
+      ({ since } = validate(ALERTS_SCHEMA, req.query).values);
+    } catch (validationError) {
+      sendError(res, validationError);
+      return;
+    }
+
+    try {
+      const state = await getMonitorState();
+      res.status(200).json({
+        success: true,
+        monitor: summarizeMonitor(state),
+        alerts: alertsSince(state, since)
+      });
+    } catch (error) {
+      console.error('Monitor state error:', error);
+      sendError(res, error);
+    }
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let body;
+  try {
+    body = parseJsonBody(req);
+  } catch (parseError) {
+    sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+    return;
+  }
+
+  try {
+    const { rpcEndpoint, rpcEndpoints, fundingSources, ruleset, includeFunders } = validate(TICK_SCHEMA, body).values;
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const tick = await runMonitorTick(connection, { fundingSources, ruleset, includeFunders, budgetMs: TICK_BUDGET_MS });
+
+    // Delivery problems are logged per channel and never fail the tick; whatever
+    // is not delivered by the end of the budget is logged as skipped
+    let deliveries = [];
+    try {
+      deliveries = await dispatchAlerts(tick.alerts, { deadline: startedAt + TICK_BUDGET_MS });
+    } catch (dispatchError) {
+      console.warn('Alert dispatch failed:', dispatchError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      monitor: summarizeMonitor(tick.state),
+      alerts: tick.alerts,
+      checked: tick.checked,
+      targets: tick.targets,
+      failures: tick.failures,
+      deliveries: summarizeDeliveries(deliveries),
+      code: tick.failures.length > 0 ? 'PARTIAL' : null,
+      rpc: connection.report(),
+      cache: connection.cacheStats(),
+      message: `Checked ${tick.checked}/${tick.targets} targets, ${tick.alerts.length} new alerts`
+    });
+  } catch (error) {
+    console.error('Monitor tick error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,71 @@
+import { applyCors, parseJsonBody } from '../../../lib/http.js';
+import { ScanError, sendError } from '../../../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../../../lib/rpc-pool.js';
+import { createCachedConnection } from '../../../lib/rpc-cache.js';
+import { entryContext, getTokenLaunch } from '../../../lib/token-context.js';
+import { validate, address, RPC_FIELDS } from '../../../lib/validation.js';
+
+// Token launch context: /api/token/<mint>/context
+//
+// GET ?wallet=<address>
+// POST { wallet, rpcEndpoint, rpcEndpoints }
+//
+// Returns the mint's creation and first-liquidity transactions, its first
+// buyers with the holder count and price at each buy, and, with `wallet`,
+// where that wallet's first buy sits (seconds after launch, entry rank).
+// `launch.complete` is false when the token's history is too long to reach
+// its start; nothing is known about the launch then.
+
+// Mints may be program-derived; the buyer has to be a wallet that signs
+const CONTEXT_SCHEMA = {
+  mint: address({ required: true }),
+  wallet: address({ onCurve: true }),
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let params = req.query || {};
+  if (req.method === 'POST') {
+    try {
+      params = { ...params, ...parseJsonBody(req) };
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  try {
+    const { mint, wallet, rpcEndpoint, rpcEndpoints } = validate(CONTEXT_SCHEMA, { ...params, mint: req.query.mint }).values;
+
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const launch = await getTokenLaunch(connection, mint);
+
+    let entry = null;
+    if (wallet) {
+      const buyer = launch.buyers.find(candidate => candidate.wallet === wallet);
+      entry = buyer
+        ? entryContext(launch, { wallet, signature: buyer.signature, blockTime: buyer.blockTime })
+        : { inLaunchWindow: false, buyersInWindow: launch.buyers.length };
+    }
+
+    console.log(`Token context ${mint}: complete ${launch.complete}, launched ${launch.launchedAt} (${launch.launchKind}), ${launch.buyers.length} early buyers`);
+
+    res.status(200).json({
+      success: true,
+      launch,
+      entry,
+      rpc: connection.report(),
+      cache: connection.cacheStats()
+    });
+  } catch (error) {
+    console.error('Token context error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,79 @@
+import { applyCors, parseJsonBody } from '../../../lib/http.js';
+import { ScanError, sendError } from '../../../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../../../lib/rpc-pool.js';
+import { createCachedConnection } from '../../../lib/rpc-cache.js';
+import { createFundingRegistry } from '../../../lib/funding-sources.js';
+import { resolveRuleset } from '../../../lib/insider-rules.js';
+import { analyzeWalletDeep, DEFAULT_ANALYSIS_DEPTH } from '../../../lib/wallet-analysis.js';
+import { validate, address, integer, object, RPC_FIELDS, FUNDING_SOURCES_FIELD } from '../../../lib/validation.js';
+
+// Deep analysis of one wallet: /api/wallet/<address>/analysis
+//
+// GET ?depth=1000
+// POST { depth, rpcEndpoint, rpcEndpoints, fundingSources, ruleset }
+//
+// Pages the wallet's history up to `depth` signatures (max 5000), decodes the
+// swap ledger and returns pattern confidences (early entry, quick exit, win
+// rate, wash trading), the hold-time distribution, recommendations and the
+// rule engine's verdict. `history.truncated` is set when the time budget ran
+// out before every transaction was decoded.
+
+// Must stay below maxDuration for this function in vercel.json
+const ANALYSIS_BUDGET_MS = 45000;
+
+// Depths above the maximum are clamped by analyzeWalletDeep, which reports both
+const ANALYSIS_SCHEMA = {
+  address: address({ required: true }),
+  depth: integer({ min: 1, default: DEFAULT_ANALYSIS_DEPTH }),
+  fundingSources: FUNDING_SOURCES_FIELD,
+  ruleset: object(),
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let params = req.query || {};
+  if (req.method === 'POST') {
+    try {
+      params = { ...params, ...parseJsonBody(req) };
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  const startedAt = Date.now();
+
+  try {
+    const { address, rpcEndpoint, rpcEndpoints, fundingSources, ruleset, depth } = validate(ANALYSIS_SCHEMA, { ...params, address: req.query.address }).values;
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const failures = [];
+    const analysis = await analyzeWalletDeep(connection, address, {
+      depth,
+      fundingRegistry: createFundingRegistry(fundingSources),
+      ruleset: resolveRuleset(ruleset),
+      deadline: startedAt + ANALYSIS_BUDGET_MS,
+      failures
+    });
+
+    console.log(`Deep analysis ${analysis.wallet}: ${analysis.metrics.trades} trades, risk ${analysis.riskLevel} in ${Date.now() - startedAt}ms`);
+
+    res.status(200).json({
+      success: true,
+      analysis,
+      failures,
+      code: failures.length > 0 || analysis.history.truncated ? 'PARTIAL' : null,
+      rpc: connection.report(),
+      cache: connection.cacheStats()
+    });
+  } catch (error) {
+    console.error('Deep analysis error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,92 @@
+import { applyCors, parseJsonBody } from '../../../lib/http.js';
+import { ScanError, sendError } from '../../../lib/errors.js';
+import { createRpcPool, resolveRpcEndpoints } from '../../../lib/rpc-pool.js';
+import { createCachedConnection } from '../../../lib/rpc-cache.js';
+import { createFundingRegistry } from '../../../lib/funding-sources.js';
+import { listWatchlist } from '../../../lib/watchlist.js';
+import { expandWallet } from '../../../lib/funding-graph.js';
+import { validate, address, boolean, integer, oneOf, RPC_FIELDS, FUNDING_SOURCES_FIELD } from '../../../lib/validation.js';
+
+// Funding graph around one wallet: /api/wallet/<address>/graph
+//
+// GET ?direction=both|up|down&limit=20&genesis=true
+// POST { direction, limit, genesis, rpcEndpoint, rpcEndpoints, fundingSources }
+//
+// Returns one hop of transfers in and out of the wallet (plus its first funder
+// unless genesis=false), with every node classified by the funding source
+// registry and the watchlist's insider verdicts. The Analyzer calls this again
+// for a clicked node to expand the graph by another hop.
+
+const MAX_LIMIT = 100;
+const DIRECTIONS = ['both', 'up', 'down'];
+
+// Graph nodes can be any account, so no wallet (on-curve) check
+const GRAPH_SCHEMA = {
+  address: address({ required: true }),
+  direction: oneOf(DIRECTIONS, { default: 'both' }),
+  limit: integer({ min: 1, max: MAX_LIMIT, clamp: true, default: 20 }),
+  genesis: boolean({ default: true }),
+  fundingSources: FUNDING_SOURCES_FIELD,
+  ...RPC_FIELDS
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`));
+    return;
+  }
+
+  let params = req.query || {};
+  if (req.method === 'POST') {
+    try {
+      params = { ...params, ...parseJsonBody(req) };
+    } catch (parseError) {
+      sendError(res, new ScanError('INVALID_REQUEST', 'Invalid JSON in request body'), { parseError: parseError.message });
+      return;
+    }
+  }
+
+  try {
+    const request = validate(GRAPH_SCHEMA, { ...params, address: req.query.address });
+    const { address, direction, limit, genesis: includeGenesis, rpcEndpoint, rpcEndpoints, fundingSources } = request.values;
+
+    // Watchlist wallets with an insider verdict are coloured as insiders
+    const insiders = new Map();
+    try {
+      for (const entry of await listWatchlist()) {
+        if (entry.lastVerdict && entry.lastVerdict.isInsider) insiders.set(entry.address, entry.label || null);
+      }
+    } catch (watchlistError) {
+      console.warn('Could not load watchlist for graph labels:', watchlistError.message);
+    }
+
+    const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints })));
+    const failures = [];
+    const graph = await expandWallet(connection, address, {
+      fundingRegistry: createFundingRegistry(fundingSources),
+      insiders,
+      direction,
+      limit,
+      includeGenesis,
+      failures
+    });
+
+    console.log(`Wallet graph ${address}: ${graph.nodes.length} nodes, ${graph.edges.length} edges`);
+
+    res.status(200).json({
+      success: true,
+      ...graph,
+      direction,
+      adjusted: request.adjusted,
+      failures,
+      code: failures.length > 0 ? 'PARTIAL' : null,
+      rpc: connection.report(),
+      cache: connection.cacheStats()
+    });
+  } catch (error) {
+    console.error('Wallet graph error:', error);
+    sendError(res, error);
+  }
+}
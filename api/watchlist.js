@@ -0,0 +1,96 @@
+import { applyCors, parseJsonBody } from '../lib/http.js';
+import { ScanError, sendError } from '../lib/errors.js';
+import { addToWatchlist, getWatchlistEntry, listWatchlist, removeFromWatchlist, updateWatchlistEntry } from '../lib/watchlist.js';
+import { validate, address, list, object, string } from '../lib/validation.js';
+
+// Watchlist of tracked wallets.
+//
+// GET                       lists every entry (?tag=... filters, ?address=... returns one)
+// POST { address, label, tags, notes, source, verdict }
+//                           adds a wallet, or updates it when already listed;
+//                           { wallets: [...] } adds several at once
+// PATCH { address, ...fields } updates label, tags, notes, source or verdict
+// DELETE ?address=... (or { address }) removes a wallet
+
+const MAX_WALLETS_PER_REQUEST = 100;
+
+const LOOKUP_SCHEMA = {
+  address: address(),
+  tag: string({ maxLength: 50 })
+};
+
+// Only the address is checked; the watchlist normalizes the other fields itself
+const ENTRY_SCHEMA = {
+  address: address({ required: true })
+};
+
+const BATCH_SCHEMA = {
+  wallets: list({ of: object(ENTRY_SCHEMA), min: 1, max: MAX_WALLETS_PER_REQUEST })
+};
+
+export default async function handler(req, res) {
+  if (applyCors(req, res, 'GET, POST, PATCH, DELETE, OPTIONS')) return;
+
+  try {
+    if (req.method === 'GET') {
+      const { address, tag } = validate(LOOKUP_SCHEMA, req.query).values;
+      if (address) {
+        const entry = await getWatchlistEntry(address);
+        if (!entry) throw new ScanError('NOT_FOUND', `Wallet ${address} is not on the watchlist`);
+        res.status(200).json({ success: true, entry });
+        return;
+      }
+
+      const entries = await listWatchlist({ tag });
+      res.status(200).json({ success: true, count: entries.length, entries });
+      return;
+    }
+
+    if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+      throw new ScanError('METHOD_NOT_ALLOWED', `Method ${req.method} not allowed`);
+    }
+
+    let body;
+    try {
+      body = parseJsonBody(req);
+    } catch (parseError) {
+      throw new ScanError('INVALID_REQUEST', 'Invalid JSON in request body', { parseError: parseError.message });
+    }
+
+    if (req.method === 'POST') {
+      const wallets = body.wallets !== undefined
+        ? validate(BATCH_SCHEMA, body).values.wallets
+        : [{ ...body, ...validate(ENTRY_SCHEMA, body).values }];
+
+      const saved = [];
+      for (const wallet of wallets) {
+        saved.push(await addToWatchlist(wallet));
+      }
+
+      const created = saved.filter(result => result.created).length;
+      res.status(created > 0 ? 201 : 200).json({
+        success: true,
+        created,
+        updated: saved.length - created,
+        entries: saved.map(result => result.entry)
+      });
+      return;
+    }
+
+    const { address } = validate(ENTRY_SCHEMA, { address: body.address || (req.query && req.query.address) }).values;
+
+    if (req.method === 'PATCH') {
+      const entry = await updateWatchlistEntry(address, body);
+      if (!entry) throw new ScanError('NOT_FOUND', `Wallet ${address} is not on the watchlist`);
+      res.status(200).json({ success: true, entry });
+      return;
+    }
+
+    const removed = await removeFromWatchlist(address);
+    if (!removed) throw new ScanError('NOT_FOUND', `Wallet ${address} is not on the watchlist`);
+    res.status(200).json({ success: true, removed: address });
+  } catch (error) {
+    console.error('Watchlist error:', error);
+    sendError(res, error);
+  }
+}
@@ -0,0 +1,291 @@
+#!/usr/bin/env node
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+import { createFundingRegistry } from '../lib/funding-sources.js';
+import { resolveRuleset } from '../lib/insider-rules.js';
+import { createRpcPool, resolveRpcEndpoints } from '../lib/rpc-pool.js';
+import { createCachedConnection } from '../lib/rpc-cache.js';
+import { createTransactionFetcher } from '../lib/transaction-fetcher.js';
+import { MAX_ANALYSIS_TRANSACTIONS, scanSpecificWallet } from '../lib/scanner.js';
+import { createDiscoveryJob, getDiscoveryJob, getJobResults, runDiscoveryStep, summarizeJob } from '../lib/discovery-jobs.js';
+import { runMonitorTick, summarizeMonitor } from '../lib/monitor.js';
+import { dispatchAlerts, summarizeDeliveries } from '../lib/alerts.js';
+import { flushRpcFixtures } from '../lib/rpc-fixtures.js';
+import { classifyError } from '../lib/errors.js';
+import { validate, address } from '../lib/validation.js';
+
+// Command line scanner: the same analysis the API functions run, for cron and CI.
+//
+//   dca-tracker scan --wallet <address> [--depth 50]
+//   dca-tracker discover [--max 200] [--depth 50] [--job <id>]
+//   dca-tracker watch [--interval 60] [--once] [--no-funders]
+//
+// Common options: --rpc <url> (repeatable, else RPC_ENDPOINTS), --funding-sources
+// <file.json>, --ruleset <file.json>, --json, --verbose, --record/--replay <fixture.json>.
+// Results go to stdout as a table or JSON; scanner logs are hidden unless --verbose
+// and always go to stderr. Exit code 1 on errors, 2 on usage errors.
+
+const USAGE = `Usage:
+  dca-tracker scan --wallet <address> [--depth 50]
+  dca-tracker discover [--max 200] [--depth 50] [--job <id>]
+  dca-tracker watch [--interval 60] [--once] [--no-funders]
+
+Options:
+  --rpc <url>               RPC endpoint, repeat for fallbacks (default: RPC_ENDPOINTS or public mainnet)
+  --funding-sources <file>  JSON array of extra funding sources
+  --ruleset <file>          JSON insider ruleset overrides
+  --json                    Print JSON instead of a table
+  --verbose                 Show scanner logs on stderr
+  --record <file>           Save every RPC call and response to a fixture file
+  --replay <file>           Answer RPC calls from a recorded fixture, offline`;
+
+const OPTIONS = {
+  wallet: { type: 'string' },
+  depth: { type: 'string' },
+  max: { type: 'string' },
+  job: { type: 'string' },
+  interval: { type: 'string' },
+  once: { type: 'boolean' },
+  'no-funders': { type: 'boolean' },
+  rpc: { type: 'string', multiple: true },
+  'funding-sources': { type: 'string' },
+  ruleset: { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  record: { type: 'string' },
+  replay: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Same per-invocation budgets as the API functions
+const DISCOVERY_STEP_BUDGET_MS = 50000;
+const TICK_BUDGET_MS = 50000;
+
+function print(line = '') {
+  process.stdout.write(line + '\n');
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+function positiveInt(value, fallback, name) {
+  if (value === undefined) return fallback;
+  const number = parseInt(value, 10);
+  if (!Number.isFinite(number) || number < 1) throw usageError(`--${name} must be a positive integer`);
+  return number;
+}
+
+async function readJsonFile(file) {
+  if (!file) return undefined;
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw usageError(`Could not read ${file}: ${error.message}`);
+  }
+}
+
+// Plain text table with columns sized to their content
+function formatTable(columns, rows) {
+  const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '-')));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns.map(column => column.label)), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+const WALLET_COLUMNS = [
+  { label: 'Wallet', value: wallet => wallet.address },
+  { label: 'Score', value: wallet => wallet.insiderScore },
+  { label: 'Insider', value: wallet => (wallet.isInsider ? 'YES' : 'no') },
+  { label: 'Funded by', value: wallet => wallet.fundingSourceLabel || wallet.fundingSource },
+  { label: 'Trades', value: wallet => wallet.transactions },
+  { label: 'Quick', value: wallet => wallet.quickTrades },
+  { label: 'Good plays', value: wallet => wallet.goodPlays },
+  { label: 'Reason', value: wallet => wallet.insiderReason }
+];
+
+function printFailures(failures) {
+  if (!failures || failures.length === 0) return;
+  print(`\n${failures.length} failure(s):`);
+  for (const failure of failures) {
+    print(`  ${failure.address || '-'} [${failure.stage}] ${failure.code}: ${failure.reason}`);
+  }
+}
+
+async function runScan(connection, args, context) {
+  if (!args.wallet) throw usageError('scan requires --wallet <address>');
+  let wallet;
+  try {
+    ({ wallet } = validate({ wallet: address({ onCurve: true }) }, { wallet: args.wallet }).values);
+  } catch (validationError) {
+    throw usageError(validationError.message);
+  }
+  const requestedDepth = positiveInt(args.depth, MAX_ANALYSIS_TRANSACTIONS, 'depth');
+  const effectiveDepth = Math.min(requestedDepth, MAX_ANALYSIS_TRANSACTIONS);
+  const failures = [];
+  const scanOptions = {
+    fundingRegistry: createFundingRegistry(context.fundingSources),
+    ruleset: resolveRuleset(context.ruleset),
+    failures,
+    transactionFetcher: createTransactionFetcher(connection)
+  };
+
+  const wallets = await scanSpecificWallet(connection, wallet, effectiveDepth, scanOptions);
+
+  if (args.json) {
+    print(JSON.stringify({ success: true, wallets, failures, requestedDepth, effectiveDepth, code: failures.length > 0 ? 'PARTIAL' : null, rpc: connection.report() }, null, 2));
+  } else {
+    if (effectiveDepth < requestedDepth) print(`Depth limited to ${effectiveDepth} transactions (requested ${requestedDepth})`);
+    print(wallets.length > 0 ? formatTable(WALLET_COLUMNS, wallets) : `No analysis for ${wallet}`);
+    printFailures(failures);
+  }
+  return failures.length > 0 && wallets.length === 0 ? 1 : 0;
+}
+
+async function runDiscover(connection, args, context) {
+  let id = args.job;
+  if (!id) {
+    const created = await createDiscoveryJob({
+      maxWallets: positiveInt(args.max, 200, 'max'),
+      scanDepth: positiveInt(args.depth, 50, 'depth'),
+      fundingSources: context.fundingSources,
+      ruleset: context.ruleset
+    });
+    id = created.id;
+    console.error(`Created discovery job ${id} (resume with --job ${id})`);
+  } else if (!await getDiscoveryJob(id)) {
+    throw usageError(`Discovery job ${id} not found`);
+  }
+
+  // Keep stepping the resumable job until it finishes; a failed step stops the
+  // run with the job left resumable
+  let job;
+  do {
+    job = await runDiscoveryStep(connection, id, { budgetMs: DISCOVERY_STEP_BUDGET_MS });
+    const summary = summarizeJob(job);
+    console.error(`[${summary.progress}%] discovered ${summary.discovered}, analyzed ${summary.analyzed}, insiders ${summary.insidersFound}, failures ${summary.failed}`);
+  } while (job.status !== 'completed' && job.status !== 'failed' && !job.error);
+
+  const completed = job.status === 'completed';
+  if (args.json) {
+    print(JSON.stringify({ success: completed, job: summarizeJob(job), wallets: await getJobResults(job), failures: job.failures }, null, 2));
+  } else {
+    print(job.results.length > 0 ? formatTable(WALLET_COLUMNS, job.results) : 'No insider wallets found');
+    print(`\nJob ${job.id} ${job.status}: ${job.results.length} insiders from ${job.discovered} discovered wallets`);
+    if (job.error) print(`Error (${job.errorCode}): ${job.error}${completed ? '' : ` - resume with --job ${job.id}`}`);
+    printFailures(job.failures);
+  }
+  return completed ? 0 : 1;
+}
+
+async function runWatch(connection, args, context) {
+  const intervalMs = positiveInt(args.interval, 60, 'interval') * 1000;
+  let stopping = false;
+  let wake = null;
+  process.on('SIGINT', () => {
+    stopping = true;
+    if (wake) wake();
+  });
+
+  while (!stopping) {
+    let tick;
+    try {
+      tick = await runMonitorTick(connection, {
+        fundingSources: context.fundingSources,
+        ruleset: context.ruleset,
+        includeFunders: !args['no-funders'],
+        budgetMs: TICK_BUDGET_MS
+      });
+    } catch (tickError) {
+      // Another tick holds the lock (or a crashed one left it until its lease runs out)
+      if (tickError.code !== 'JOB_BUSY') throw tickError;
+      console.error(`[${new Date().toISOString()}] ${tickError.message} - trying again next interval`);
+      if (args.once) return 1;
+      await sleep();
+      continue;
+    }
+
+    let deliveries = [];
+    try {
+      deliveries = await dispatchAlerts(tick.alerts);
+    } catch (dispatchError) {
+      console.warn('Alert dispatch failed:', dispatchError.message);
+    }
+
+    if (args.json) {
+      print(JSON.stringify({
+        monitor: summarizeMonitor(tick.state),
+        alerts: tick.alerts,
+        checked: tick.checked,
+        targets: tick.targets,
+        failures: tick.failures,
+        deliveries: summarizeDeliveries(deliveries)
+      }));
+    } else {
+      print(`[${new Date().toISOString()}] checked ${tick.checked}/${tick.targets} targets, ${tick.alerts.length} new alerts`);
+      for (const alert of tick.alerts) print(`  [${alert.severity}] ${alert.message}`);
+      printFailures(tick.failures);
+    }
+
+    if (args.once) break;
+    await sleep();
+  }
+  return 0;
+
+  function sleep() {
+    return new Promise(resolve => {
+      wake = resolve;
+      setTimeout(resolve, intervalMs);
+    });
+  }
+}
+
+const COMMANDS = { scan: runScan, discover: runDiscover, watch: runWatch };
+
+async function main(argv) {
+  const { values: args, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const command = COMMANDS[positionals[0]];
+  if (args.help || !command) {
+    print(USAGE);
+    return args.help ? 0 : 2;
+  }
+
+  // Scanner progress logs would interleave with the results on stdout
+  if (args.verbose) {
+    console.log = console.error;
+  } else {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  if (args.record && args.replay) throw usageError('--record and --replay cannot be combined');
+  if (args.record || args.replay) {
+    process.env.RPC_FIXTURE_MODE = args.record ? 'record' : 'replay';
+    process.env.RPC_FIXTURE_FILE = args.record || args.replay;
+  }
+
+  const context = {
+    fundingSources: await readJsonFile(args['funding-sources']),
+    ruleset: await readJsonFile(args.ruleset)
+  };
+  const connection = createCachedConnection(createRpcPool(resolveRpcEndpoints({ rpcEndpoints: args.rpc })));
+  return command(connection, args, context);
+}
+
+main(process.argv.slice(2))
+  .then(async code => {
+    await flushRpcFixtures();
+    process.exit(code);
+  })
+  .catch(async error => {
+    await flushRpcFixtures();
+    if (error.usage || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+      process.exit(2);
+    }
+    const scanError = classifyError(error);
+    process.stderr.write(`${scanError.code}: ${scanError.message}\n`);
+    process.exit(1);
+  });
@@ -0,0 +1,321 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { Keypair } from '@solana/web3.js';
+
+// Regenerates fixtures/insider-scan.json, the RPC fixture test-backend-local.js
+// replays.
+//
+// The fixture is not a mainnet recording: this script serves a small synthetic
+// ledger from a JSON-RPC stand-in, points the local app at it with
+// RPC_FIXTURE_MODE=record and runs the same requests the local checks make (a
+// health check, a specific scan of WALLET and an auto-discovery), so the
+// fixture holds exactly the calls those paths issue. Addresses come from fixed
+// seeds, signatures and slots from a counter and times from T0, so running it
+// again gives the same calls; only `recordedAt` changes.
+//
+// The ledger: FUNDER sends 1 SOL to an already funded wallet, 1.5 SOL to the
+// fresh WALLET and 10 SOL to a third wallet, a minute apart. WALLET then makes
+// four 30-second round trips on one Pump.fun token and one profitable
+// 20-minute trip on another, which meets every default insider rule.
+//
+// Run it again after a change makes the analysis ask the RPC for something the
+// fixture lacks (replay fails with FIXTURE_MISSING): answer the new method in
+// `answer()` below if it is not served yet, then update the expectations in
+// test-backend-local.js.
+//
+//   node fixtures/generate-insider-scan.js
+
+const ROOT = new URL('..', import.meta.url).pathname;
+const FIXTURE = path.join(ROOT, 'fixtures/insider-scan.json');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58(bytes) {
+  let value = 0n;
+  for (const byte of bytes) value = value * 256n + BigInt(byte);
+  let encoded = '';
+  while (value > 0n) {
+    encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    encoded = '1' + encoded;
+  }
+  return encoded;
+}
+
+const address = seed => Keypair.fromSeed(new Uint8Array(32).fill(seed)).publicKey.toBase58();
+
+// Same seeds as REPLAY_FUNDER (1) and REPLAY_WALLET (2) in test-backend-local.js
+const FUNDER = address(1);
+const WALLET = address(2);
+const FUNDED_WALLET = address(3);
+const LARGE_WALLET = address(4);
+const MINT_1 = address(5);
+const MINT_2 = address(6);
+const CREATOR = address(7);
+const CURVE_1 = address(8);
+const TOKEN_ACCOUNT_1 = address(9);
+const TOKEN_ACCOUNT_2 = address(10);
+const CURVE_2 = address(11);
+
+const PUMP_PROGRAM = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+const T0 = 1760000000;
+const SLOT0 = 370000000;
+const FEE = 5000;
+const TOKEN_ACCOUNT_RENT = 2039280;
+const MINT_RENT = 1461600;
+
+const transactions = [];
+let counter = 0;
+
+function nextSignature() {
+  const bytes = new Uint8Array(64);
+  counter++;
+  bytes.fill(counter * 7 % 251 + 1);
+  bytes[0] = counter;
+  return base58(bytes);
+}
+
+// Parsed legacy transaction as getTransaction returns it with jsonParsed
+function addTransaction({ time, keys, pre, post, instructions, logs = [], preTokens = [], postTokens = [] }) {
+  const signature = nextSignature();
+  const slot = SLOT0 + (time - T0) * 2 + counter;
+  transactions.push({
+    signature, time, slot, keys,
+    transaction: {
+      slot,
+      blockTime: time,
+      version: 'legacy',
+      transaction: {
+        signatures: [signature],
+        message: {
+          accountKeys: keys.map((pubkey, index) => ({
+            pubkey,
+            signer: index === 0,
+            writable: ![SYSTEM_PROGRAM, PUMP_PROGRAM, TOKEN_PROGRAM].includes(pubkey),
+            source: 'transaction'
+          })),
+          instructions,
+          recentBlockhash: base58(new Uint8Array(32).fill(counter))
+        }
+      },
+      meta: {
+        err: null,
+        status: { Ok: null },
+        fee: FEE,
+        preBalances: pre,
+        postBalances: post,
+        innerInstructions: [],
+        logMessages: logs,
+        preTokenBalances: preTokens,
+        postTokenBalances: postTokens,
+        rewards: [],
+        computeUnitsConsumed: 40000
+      }
+    }
+  });
+}
+
+const tokenBalance = (accountIndex, mint, owner, amount) => ({
+  accountIndex, mint, owner, programId: TOKEN_PROGRAM,
+  uiTokenAmount: { amount: String(amount * 1e6), decimals: 6, uiAmount: amount, uiAmountString: String(amount) }
+});
+
+const systemTransfer = (source, destination, lamports) => ({
+  program: 'system',
+  programId: SYSTEM_PROGRAM,
+  parsed: { type: 'transfer', info: { source, destination, lamports } },
+  stackHeight: null
+});
+
+let funderBalance = 5000e9;
+let walletBalance = 0;
+const curveBalances = { [MINT_1]: 30e9, [MINT_2]: 30e9 };
+const heldTokens = { [MINT_1]: 0, [MINT_2]: 0 };
+
+function fund(time, to, toPre, lamports) {
+  addTransaction({
+    time,
+    keys: [FUNDER, to, SYSTEM_PROGRAM],
+    pre: [funderBalance, toPre, 1],
+    post: [funderBalance - lamports - FEE, toPre + lamports, 1],
+    instructions: [systemTransfer(FUNDER, to, lamports)]
+  });
+  funderBalance -= lamports + FEE;
+}
+
+function createToken(time, mint, curve) {
+  addTransaction({
+    time,
+    keys: [CREATOR, mint, curve, PUMP_PROGRAM, SYSTEM_PROGRAM, TOKEN_PROGRAM],
+    pre: [10e9, 0, 0, 1, 1, 1],
+    post: [10e9 - 30e9 / 1000 - FEE, MINT_RENT, curveBalances[mint], 1, 1, 1],
+    instructions: [{ programId: PUMP_PROGRAM, accounts: [mint, curve, CREATOR], data: '3Bxs4h24hBtQy9rw' }],
+    logs: [`Program ${PUMP_PROGRAM} invoke [1]`, 'Program log: Instruction: Create', `Program ${PUMP_PROGRAM} success`],
+    postTokens: [tokenBalance(2, mint, curve, 1000000000)]
+  });
+}
+
+function swap(time, mint, curve, tokenAccount, side, tokens, lamports) {
+  const buy = side === 'buy';
+  const walletAfter = walletBalance + (buy ? -lamports : lamports) - FEE;
+  const curveAfter = curveBalances[mint] + (buy ? lamports : -lamports);
+  const heldAfter = heldTokens[mint] + (buy ? tokens : -tokens);
+  addTransaction({
+    time,
+    keys: [WALLET, tokenAccount, curve, mint, PUMP_PROGRAM, SYSTEM_PROGRAM, TOKEN_PROGRAM],
+    pre: [walletBalance, TOKEN_ACCOUNT_RENT, curveBalances[mint], MINT_RENT, 1, 1, 1],
+    post: [walletAfter, TOKEN_ACCOUNT_RENT, curveAfter, MINT_RENT, 1, 1, 1],
+    instructions: [{ programId: PUMP_PROGRAM, accounts: [curve, mint, tokenAccount, WALLET], data: buy ? 'AJTQ2h9DXrBX' : '5jRcjdixRUDj' }],
+    logs: [`Program ${PUMP_PROGRAM} invoke [1]`, `Program log: Instruction: ${buy ? 'Buy' : 'Sell'}`, `Program ${PUMP_PROGRAM} success`],
+    preTokens: [tokenBalance(1, mint, WALLET, heldTokens[mint])],
+    postTokens: [tokenBalance(1, mint, WALLET, heldAfter)]
+  });
+  walletBalance = walletAfter;
+  curveBalances[mint] = curveAfter;
+  heldTokens[mint] = heldAfter;
+}
+
+// An already funded wallet, the fresh one, then an amount outside the funding range
+fund(T0 - 60, FUNDED_WALLET, 5e9, 1e9);
+fund(T0, WALLET, 0, 1.5e9);
+walletBalance = 1.5e9;
+fund(T0 + 60, LARGE_WALLET, 0, 10e9);
+
+// Quick flips right after launch, then one profitable longer hold
+createToken(T0 + 120, MINT_1, CURVE_1);
+for (let trip = 0; trip < 4; trip++) {
+  const start = T0 + 180 + trip * 120;
+  swap(start, MINT_1, CURVE_1, TOKEN_ACCOUNT_1, 'buy', 1000, 0.2e9);
+  swap(start + 30, MINT_1, CURVE_1, TOKEN_ACCOUNT_1, 'sell', 1000, 0.21e9);
+}
+createToken(T0 + 1000, MINT_2, CURVE_2);
+swap(T0 + 1030, MINT_2, CURVE_2, TOKEN_ACCOUNT_2, 'buy', 5000, 0.5e9);
+swap(T0 + 2230, MINT_2, CURVE_2, TOKEN_ACCOUNT_2, 'sell', 5000, 1.1e9);
+
+const balances = { [WALLET]: walletBalance, [FUNDER]: funderBalance, [FUNDED_WALLET]: 6e9, [LARGE_WALLET]: 10e9 };
+
+function signaturesFor(account, { limit = 1000, before } = {}) {
+  let list = transactions.filter(entry => entry.keys.includes(account)).sort((a, b) => b.slot - a.slot);
+  if (before) list = list.slice(list.findIndex(entry => entry.signature === before) + 1);
+  return list.slice(0, limit).map(entry => ({
+    signature: entry.signature, slot: entry.slot, err: null, memo: null, blockTime: entry.time, confirmationStatus: 'finalized'
+  }));
+}
+
+// Result for one JSON-RPC request, or undefined for methods the ledger does not serve
+function answer({ method, params = [] }) {
+  const context = { slot: SLOT0 + 10000 };
+  switch (method) {
+    case 'getSlot':
+      return context.slot;
+    case 'getSignaturesForAddress':
+      return signaturesFor(params[0], params[1]);
+    case 'getTransaction': {
+      const entry = transactions.find(item => item.signature === params[0]);
+      return entry ? entry.transaction : null;
+    }
+    case 'getAccountInfo': {
+      const lamports = balances[params[0]];
+      return {
+        context,
+        value: lamports === undefined ? null : { data: ['', 'base64'], executable: false, lamports, owner: SYSTEM_PROGRAM, rentEpoch: 0, space: 0 }
+      };
+    }
+    case 'getTokenAccountsByOwner':
+      return { context, value: [] };
+    default:
+      return undefined;
+  }
+}
+
+function startRpcStandIn() {
+  const unhandled = new Set();
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      const respond = request => {
+        const result = answer(request);
+        if (result !== undefined) return { jsonrpc: '2.0', id: request.id, result };
+        unhandled.add(request.method);
+        return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: 'Method not found' } };
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(body) ? body.map(respond) : respond(body)));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, unhandled })));
+}
+
+async function main() {
+  const rpc = await startRpcStandIn();
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dca-fixture-'));
+
+  await fs.rm(FIXTURE, { force: true });
+  Object.assign(process.env, {
+    RPC_ENDPOINTS: `http://127.0.0.1:${rpc.server.address().port}`,
+    RPC_FIXTURE_MODE: 'record',
+    RPC_FIXTURE_FILE: FIXTURE,
+    DCA_DATA_DIR: dataDir
+  });
+  // The app reads the fixture settings when its modules load
+  const { createLocalApp } = await import('../server-local.js');
+  const { flushRpcFixtures } = await import('../lib/rpc-fixtures.js');
+
+  const app = await createLocalApp();
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}`;
+  const fundingSources = [{ address: FUNDER, label: 'Replay Funder', type: 'exchange' }];
+  const scan = async body => {
+    const response = await fetch(`${baseUrl}/api/solana-scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  // The analysis logs every step; keep the output to the summary below
+  const log = console.log;
+  console.log = () => {};
+  let specific;
+  let discovery;
+  try {
+    await fetch(`${baseUrl}/api/health`);
+    specific = await scan({ scanType: 'specific', walletAddress: WALLET, fundingSources });
+    discovery = await scan({ autoDiscoveryMode: true, maxWalletsToDiscover: 5, fundingSources });
+  } finally {
+    console.log = log;
+  }
+  await flushRpcFixtures();
+
+  server.close();
+  rpc.server.close();
+  await fs.rm(dataDir, { recursive: true, force: true });
+
+  const wallet = specific.success && specific.data[0];
+  console.log(`Recorded ${FIXTURE}`);
+  console.log(`  specific scan of ${WALLET}: ${wallet ? (wallet.isInsider ? 'insider' : 'not insider') + `, score ${wallet.insiderScore}` : specific.code}`);
+  console.log(`  auto-discovery: ${discovery.success ? `${discovery.totalScanned} wallets scanned` : discovery.code}`);
+  if (rpc.unhandled.size > 0) {
+    console.error(`  methods the stand-in does not serve: ${[...rpc.unhandled].join(', ')}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Fixture generation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,443 @@
+import dns from 'dns';
+import net from 'net';
+import { createId, readRecord, writeRecord } from './store.js';
+import { ScanError } from './errors.js';
+
+// Alert delivery to external channels.
+//
+// Channels are a generic JSON webhook, a Telegram bot and a Discord webhook.
+// They come from the stored channel config (POST /api/alerts) plus the
+// ALERT_WEBHOOK_URL, TELEGRAM_BOT_TOKEN/TELEGRAM_CHAT_ID and
+// DISCORD_WEBHOOK_URL environment variables. Each channel renders alerts with
+// its own template, skips alerts whose dedupe key it already delivered, retries
+// network errors, 429s and 5xx responses with backoff, and every attempt ends
+// up in the delivery log. Channels deliver in parallel until the caller's
+// deadline, and the dedupe state is saved after every send.
+//
+// Stored channels come from API clients, so their URLs must use https, must
+// not resolve to private or local addresses and, for Telegram and Discord,
+// must be on the service's own host. Hosts listed in ALERT_ALLOWED_HOSTS
+// (e.g. `127.0.0.1:8787` for a local stand-in) are exempt. Channels from the
+// environment are operator config and are not restricted; ALERT_WEBHOOK_URL,
+// DISCORD_WEBHOOK_URL and TELEGRAM_API_BASE_URL can all point at a stand-in.
+
+const COLLECTION = 'alerts';
+const CHANNELS_ID = 'channels';
+const DELIVERIES_ID = 'deliveries';
+
+export const CHANNEL_TYPES = ['webhook', 'telegram', 'discord'];
+
+const MAX_LOG_ENTRIES = 200;
+const MAX_DEDUPE_KEYS = 5000;
+const DEDUPE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10000;
+const REQUEST_TIMEOUT_MS = 5000;
+
+const SERVICE_HOSTS = {
+  telegram: ['api.telegram.org'],
+  discord: ['discord.com', 'discordapp.com', 'canary.discord.com', 'ptb.discord.com']
+};
+
+// Set by the client's fetch, or used to smuggle requests; never taken from a channel
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'expect'];
+
+const PRIVATE_RANGES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+const DEFAULT_TEMPLATES = {
+  webhook: '{{message}}',
+  telegram: '{{icon}} {{message}}\n{{details}}\nhttps://solscan.io/tx/{{signature}}',
+  discord: '{{icon}} **{{message}}**\n{{details}}\n<https://solscan.io/tx/{{signature}}>'
+};
+
+const ALERT_ICONS = {
+  'funder-funded-wallet': '💸',
+  'insider-buy': '🚨',
+  'wallet-buy': '🟢',
+  'position-exit': '🔴',
+  test: '🔔'
+};
+
+// The same insider event is announced once per channel, however often it is seen
+export function dedupeKey(alert) {
+  switch (alert.type) {
+    case 'funder-funded-wallet':
+      return `funded:${alert.wallet}`;
+    case 'insider-buy':
+    case 'wallet-buy':
+      return `buy:${alert.wallet}:${alert.mint}`;
+    case 'position-exit':
+      return `exit:${alert.wallet}:${alert.mint}`;
+    default:
+      return `${alert.type}:${alert.signature || alert.id}`;
+  }
+}
+
+function alertDetails(alert) {
+  const parts = [];
+  if (alert.amountSol !== undefined && alert.amountSol !== null) parts.push(`Amount: ${Number(alert.amountSol).toFixed(4)} SOL`);
+  if (alert.tokenAmount) parts.push(`Tokens: ${Number(alert.tokenAmount).toLocaleString('en-US')}`);
+  if (alert.mint) parts.push(`Mint: ${alert.mint}`);
+  if (alert.wallet) parts.push(`Wallet: ${alert.wallet}`);
+  if (alert.funderLabel || alert.funder) parts.push(`Funder: ${alert.funderLabel || alert.funder}`);
+  return parts.join('\n');
+}
+
+// Replace {{field}} placeholders with alert fields (plus icon and details)
+export function renderTemplate(template, alert) {
+  const values = { ...alert, icon: ALERT_ICONS[alert.type] || '🔔', details: alertDetails(alert) };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => (
+    values[field] === undefined || values[field] === null ? '' : String(values[field])
+  ));
+}
+
+// Channels from the environment; stored channels with the same id take precedence
+function environmentChannels() {
+  const channels = [];
+  if (process.env.ALERT_WEBHOOK_URL) {
+    channels.push({ id: 'env-webhook', type: 'webhook', url: process.env.ALERT_WEBHOOK_URL, fromEnvironment: true });
+  }
+  if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
+    channels.push({
+      id: 'env-telegram',
+      type: 'telegram',
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      chatId: process.env.TELEGRAM_CHAT_ID,
+      apiBaseUrl: process.env.TELEGRAM_API_BASE_URL,
+      fromEnvironment: true
+    });
+  }
+  if (process.env.DISCORD_WEBHOOK_URL) {
+    channels.push({ id: 'env-discord', type: 'discord', webhookUrl: process.env.DISCORD_WEBHOOK_URL, fromEnvironment: true });
+  }
+  return channels;
+}
+
+function isAllowedHost(parsed) {
+  const allowed = String(process.env.ALERT_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return allowed.includes(parsed.host.toLowerCase()) || allowed.includes(parsed.hostname.toLowerCase());
+}
+
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Throws INVALID_REQUEST unless `value` is a URL a stored channel may post to.
+// Checked when channels are saved and again before every delivery, since DNS
+// answers can change in between.
+export async function checkDestination(value, field, type = 'webhook') {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    throw new ScanError('INVALID_REQUEST', `${field} is not a valid URL`);
+  }
+  if (isAllowedHost(parsed)) return;
+
+  if (parsed.protocol !== 'https:') {
+    throw new ScanError('INVALID_REQUEST', `${field} must use https`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const serviceHosts = SERVICE_HOSTS[type];
+  if (serviceHosts && !serviceHosts.includes(hostname)) {
+    throw new ScanError('INVALID_REQUEST', `${field} must be on ${serviceHosts.join(' or ')}`);
+  }
+  if (hostname === 'localhost' || /\.(localhost|local|internal)$/.test(hostname)) {
+    throw new ScanError('INVALID_REQUEST', `${field} points to a local host`);
+  }
+
+  // A host that does not resolve cannot be reached either
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true }).catch(() => [])).map(entry => entry.address);
+  if (addresses.some(isPrivateAddress)) {
+    throw new ScanError('INVALID_REQUEST', `${field} points to a private or local address`);
+  }
+}
+
+function checkHeaders(headers) {
+  if (headers === undefined || headers === null) return {};
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new ScanError('INVALID_REQUEST', 'webhook headers must be an object of strings');
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (typeof value !== 'string') throw new ScanError('INVALID_REQUEST', `webhook header ${name} must be a string`);
+    if (FORBIDDEN_HEADERS.includes(name.toLowerCase())) throw new ScanError('INVALID_REQUEST', `webhook header ${name} is not allowed`);
+  }
+  return headers;
+}
+
+// URL a channel posts to, for the destination check
+function channelDestination(channel) {
+  if (channel.type === 'telegram') return ['apiBaseUrl', channel.apiBaseUrl || 'https://api.telegram.org'];
+  if (channel.type === 'discord') return ['webhookUrl', channel.webhookUrl];
+  return ['url', channel.url];
+}
+
+async function validateChannel(channel) {
+  if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+    throw new ScanError('INVALID_REQUEST', `Channel type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+  }
+  const required = { webhook: ['url'], telegram: ['botToken', 'chatId'], discord: ['webhookUrl'] }[channel.type];
+  const missing = required.filter(field => !channel[field]);
+  if (missing.length > 0) {
+    throw new ScanError('INVALID_REQUEST', `${channel.type} channel is missing ${missing.join(', ')}`);
+  }
+
+  const [field, destination] = channelDestination(channel);
+  await checkDestination(destination, `${channel.type} ${field}`, channel.type);
+  const headers = channel.type === 'webhook' ? checkHeaders(channel.headers) : {};
+
+  return {
+    id: channel.id || createId(channel.type),
+    type: channel.type,
+    enabled: channel.enabled !== false,
+    // Alert types to deliver; empty means all
+    alertTypes: Array.isArray(channel.alertTypes) ? channel.alertTypes : [],
+    template: channel.template || null,
+    url: channel.url,
+    headers,
+    botToken: channel.botToken,
+    chatId: channel.chatId,
+    apiBaseUrl: channel.apiBaseUrl,
+    webhookUrl: channel.webhookUrl
+  };
+}
+
+export async function getAlertChannels() {
+  const stored = (await readRecord(COLLECTION, CHANNELS_ID)) || { channels: [] };
+  const storedIds = new Set(stored.channels.map(channel => channel.id));
+  return [...stored.channels, ...environmentChannels().filter(channel => !storedIds.has(channel.id))];
+}
+
+export async function saveAlertChannels(channels) {
+  const validated = await Promise.all(channels.map(validateChannel));
+  await writeRecord(COLLECTION, CHANNELS_ID, { channels: validated });
+  return validated;
+}
+
+// Channel config safe to send to clients: secrets and URL paths are masked
+export function describeChannel(channel) {
+  const mask = value => (value ? `${String(value).slice(0, 4)}***` : null);
+  const maskUrl = value => {
+    try {
+      const parsed = new URL(value);
+      return `${parsed.origin}/***`;
+    } catch (error) {
+      return value ? 'invalid-url' : null;
+    }
+  };
+
+  return {
+    id: channel.id,
+    type: channel.type,
+    enabled: channel.enabled !== false,
+    alertTypes: channel.alertTypes || [],
+    template: channel.template || DEFAULT_TEMPLATES[channel.type],
+    url: maskUrl(channel.url),
+    webhookUrl: maskUrl(channel.webhookUrl),
+    botToken: mask(channel.botToken),
+    chatId: channel.chatId || null
+  };
+}
+
+export async function getDeliveryLog() {
+  return (await readRecord(COLLECTION, DELIVERIES_ID)) || { log: [], delivered: {} };
+}
+
+// HTTP request for one alert on one channel
+function buildRequest(channel, alert) {
+  const text = renderTemplate(channel.template || DEFAULT_TEMPLATES[channel.type], alert);
+
+  if (channel.type === 'telegram') {
+    const base = (channel.apiBaseUrl || 'https://api.telegram.org').replace(/\/$/, '');
+    return {
+      url: `${base}/bot${channel.botToken}/sendMessage`,
+      body: { chat_id: channel.chatId, text, disable_web_page_preview: true }
+    };
+  }
+
+  if (channel.type === 'discord') {
+    return { url: channel.webhookUrl, body: { content: text.slice(0, 2000) } };
+  }
+
+  return { url: channel.url, headers: channel.headers, body: { text, alert } };
+}
+
+class DeliveryError extends Error {
+  constructor(message, { retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+async function post({ url, headers = {}, body }, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      // Redirects could lead past the destination check
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new DeliveryError(`Request failed: ${error.message}`, { retryable: true });
+  }
+
+  if (response.ok) return;
+
+  const text = await response.text().catch(() => '');
+  // Telegram and Discord both report how long to wait on 429
+  let retryAfterMs = Number(response.headers.get('retry-after')) * 1000 || null;
+  try {
+    const payload = JSON.parse(text);
+    const seconds = payload.retry_after || (payload.parameters && payload.parameters.retry_after);
+    if (seconds) retryAfterMs = seconds * 1000;
+  } catch (parseError) {
+    // Not JSON; keep the header value
+  }
+
+  throw new DeliveryError(`HTTP ${response.status}: ${text.slice(0, 200)}`, {
+    retryable: response.status === 429 || response.status >= 500,
+    retryAfterMs
+  });
+}
+
+function backoff(attempt, retryAfterMs) {
+  if (retryAfterMs) return Math.min(retryAfterMs, BACKOFF_MAX_MS);
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt), BACKOFF_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Send one alert, retrying until MAX_ATTEMPTS or the deadline
+async function deliver(channel, alert, deadline) {
+  const request = buildRequest(channel, alert);
+  let lastError = null;
+  let attempts = 0;
+
+  if (!channel.fromEnvironment) {
+    try {
+      const [field] = channelDestination(channel);
+      await checkDestination(request.url, `${channel.type} ${field}`, channel.type);
+    } catch (error) {
+      return { status: 'failed', attempts, error: error.message };
+    }
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    attempts++;
+    try {
+      await post(request, Math.min(REQUEST_TIMEOUT_MS, Math.max(deadline - Date.now(), 1)));
+      return { status: 'sent', attempts, error: null };
+    } catch (error) {
+      lastError = error;
+      console.warn(`Alert delivery to ${channel.type} channel ${channel.id} failed (attempt ${attempt + 1}/${MAX_ATTEMPTS}):`, error.message);
+      if (!error.retryable || attempt === MAX_ATTEMPTS - 1) break;
+      const wait = backoff(attempt, error.retryAfterMs);
+      if (Date.now() + wait >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  return { status: 'failed', attempts, error: lastError.message };
+}
+
+// Deliver alerts to every enabled channel. Channels run in parallel, each
+// sending its alerts in order; alerts left when `deadline` passes are logged
+// as `skipped`. `force` skips the dedupe check (test alerts).
+// Returns the log entries written for this call.
+export async function dispatchAlerts(alerts, { channels = null, force = false, deadline = Infinity } = {}) {
+  const targets = (channels || await getAlertChannels()).filter(channel => channel.enabled !== false);
+  if (alerts.length === 0 || targets.length === 0) return [];
+
+  const state = await getDeliveryLog();
+  const previousLog = state.log;
+  const now = Date.now();
+
+  // Forget dedupe keys older than the TTL
+  for (const [key, deliveredAt] of Object.entries(state.delivered)) {
+    if (now - deliveredAt > DEDUPE_TTL_MS) delete state.delivered[key];
+  }
+
+  const entries = [];
+
+  // Saved after every send so a run killed mid-way never sends the same alert twice.
+  // Saves are chained so parallel channels never write the record at the same time.
+  let saving = Promise.resolve();
+  function save() {
+    saving = saving
+      .then(() => {
+        // Keep the newest dedupe keys when over the cap
+        const delivered = Object.entries(state.delivered).sort((a, b) => b[1] - a[1]).slice(0, MAX_DEDUPE_KEYS);
+        state.delivered = Object.fromEntries(delivered);
+        state.log = [...entries.slice().reverse(), ...previousLog].slice(0, MAX_LOG_ENTRIES);
+        return writeRecord(COLLECTION, DELIVERIES_ID, state);
+      })
+      .catch(error => console.warn('Could not save the alert delivery log:', error.message));
+    return saving;
+  }
+
+  await Promise.all(targets.map(async channel => {
+    for (const alert of alerts) {
+      if (channel.alertTypes && channel.alertTypes.length > 0 && !channel.alertTypes.includes(alert.type)) continue;
+
+      const key = dedupeKey(alert);
+      const deliveredKey = `${channel.id}|${key}`;
+      const entry = {
+        id: createId('delivery'),
+        channelId: channel.id,
+        channelType: channel.type,
+        alertId: alert.id,
+        alertType: alert.type,
+        dedupeKey: key,
+        at: new Date().toISOString()
+      };
+
+      if (!force && state.delivered[deliveredKey]) {
+        entries.push({ ...entry, status: 'duplicate', attempts: 0, error: null });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        entries.push({ ...entry, status: 'skipped', attempts: 0, error: 'Delivery deadline reached' });
+        continue;
+      }
+
+      const result = await deliver(channel, alert, deadline);
+      entries.push({ ...entry, ...result });
+      if (result.status === 'sent') {
+        state.delivered[deliveredKey] = Date.now();
+        await save();
+      }
+    }
+  }));
+
+  await save();
+  return entries;
+}
+
+export function summarizeDeliveries(entries) {
+  return {
+    sent: entries.filter(entry => entry.status === 'sent').length,
+    failed: entries.filter(entry => entry.status === 'failed').length,
+    duplicates: entries.filter(entry => entry.status === 'duplicate').length,
+    skipped: entries.filter(entry => entry.status === 'skipped').length
+  };
+}
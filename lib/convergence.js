@@ -0,0 +1,144 @@
+import { listWatchlist } from './watchlist.js';
+import { getMonitorState } from './monitor.js';
+
+// Convergence detector: coordinated entries by insiders that share a funder.
+//
+// Buys are collected from analyzed wallets (position ledger buy legs), the
+// entries stored with watchlist verdicts and the monitor's buy alerts. They are
+// grouped by funder and mint; a group becomes a signal when at least
+// `minWallets` distinct insider wallets bought within `windowSeconds` of the
+// first of them.
+
+export const DEFAULT_CONVERGENCE_OPTIONS = {
+  minWallets: 3,
+  windowSeconds: 3600
+};
+
+// One buy per leg: { wallet, funder, funderLabel, mint, solAmount, tokenAmount, blockTime, signature }
+export function buysFromWallet(wallet) {
+  if (!wallet || !wallet.address) return [];
+
+  const legs = [];
+  for (const position of wallet.positions || []) {
+    for (const leg of position.buys || []) {
+      legs.push({ ...leg, mint: position.mint });
+    }
+  }
+  legs.push(...(wallet.entries || []));
+
+  return legs.map(leg => ({
+    wallet: wallet.address,
+    funder: wallet.fundingSource || null,
+    funderLabel: wallet.fundingSourceLabel || null,
+    mint: leg.mint,
+    solAmount: Number(leg.solAmount) || 0,
+    tokenAmount: Number(leg.tokenAmount) || 0,
+    blockTime: leg.blockTime || null,
+    signature: leg.signature || null
+  }));
+}
+
+// Buys of insider wallets known to the backend: watchlist verdict entries plus
+// monitor buy alerts, attributed to the funder on the wallet's watchlist entry
+export async function collectStoredBuys() {
+  const watched = await listWatchlist();
+  const insiders = new Map(watched
+    .filter(entry => entry.lastVerdict && entry.lastVerdict.isInsider)
+    .map(entry => [entry.address, entry]));
+
+  const buys = [];
+  for (const entry of insiders.values()) {
+    buys.push(...buysFromWallet({
+      address: entry.address,
+      fundingSource: entry.lastVerdict.fundingSource,
+      fundingSourceLabel: entry.lastVerdict.fundingSourceLabel,
+      entries: entry.lastVerdict.entries
+    }));
+  }
+
+  const monitor = await getMonitorState();
+  for (const alert of monitor.alerts) {
+    const entry = insiders.get(alert.wallet);
+    if (alert.type !== 'insider-buy' || !entry) continue;
+    buys.push({
+      wallet: alert.wallet,
+      funder: entry.lastVerdict.fundingSource || null,
+      funderLabel: entry.lastVerdict.fundingSourceLabel || null,
+      mint: alert.mint,
+      solAmount: alert.amountSol,
+      tokenAmount: alert.tokenAmount,
+      blockTime: alert.blockTime,
+      signature: alert.signature
+    });
+  }
+
+  return buys;
+}
+
+// Ranked signals: most wallets first, then largest combined size, then tightest entry
+export function detectConvergence(buys, options = {}) {
+  const { minWallets, windowSeconds } = { ...DEFAULT_CONVERGENCE_OPTIONS, ...options };
+
+  // Same buy seen from several sources counts once
+  const unique = new Map();
+  for (const buy of buys) {
+    if (!buy.funder || !buy.mint || !buy.blockTime) continue;
+    unique.set(`${buy.wallet}:${buy.signature || `${buy.mint}:${buy.blockTime}`}`, buy);
+  }
+
+  const groups = new Map();
+  for (const buy of unique.values()) {
+    const key = `${buy.funder}:${buy.mint}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(buy);
+  }
+
+  const signals = [];
+  for (const group of groups.values()) {
+    group.sort((a, b) => a.blockTime - b.blockTime);
+
+    // Window starting at each buy; keep the one with the most distinct wallets
+    let best = null;
+    for (let start = 0; start < group.length; start++) {
+      const windowBuys = group.filter(buy => buy.blockTime >= group[start].blockTime && buy.blockTime <= group[start].blockTime + windowSeconds);
+      const walletCount = new Set(windowBuys.map(buy => buy.wallet)).size;
+      if (!best || walletCount > best.walletCount) best = { walletCount, windowBuys };
+    }
+
+    if (!best || best.walletCount < minWallets) continue;
+    signals.push(buildSignal(best.windowBuys));
+  }
+
+  return signals
+    .sort((a, b) => b.walletCount - a.walletCount || b.combinedSol - a.combinedSol || a.spreadSeconds - b.spreadSeconds)
+    .map((signal, index) => ({ rank: index + 1, ...signal }));
+}
+
+function buildSignal(windowBuys) {
+  const byWallet = new Map();
+  for (const buy of windowBuys) {
+    const participant = byWallet.get(buy.wallet) || { address: buy.wallet, firstBuyAt: buy.blockTime, solAmount: 0, tokenAmount: 0, buys: 0, signatures: [] };
+    participant.solAmount += buy.solAmount;
+    participant.tokenAmount += buy.tokenAmount;
+    participant.buys++;
+    if (buy.signature) participant.signatures.push(buy.signature);
+    byWallet.set(buy.wallet, participant);
+  }
+
+  const first = windowBuys[0];
+  const last = windowBuys[windowBuys.length - 1];
+  const wallets = Array.from(byWallet.values()).sort((a, b) => a.firstBuyAt - b.firstBuyAt);
+
+  return {
+    mint: first.mint,
+    funder: first.funder,
+    funderLabel: first.funderLabel || windowBuys.map(buy => buy.funderLabel).find(Boolean) || null,
+    walletCount: wallets.length,
+    wallets,
+    firstEntryAt: first.blockTime,
+    lastEntryAt: last.blockTime,
+    spreadSeconds: last.blockTime - first.blockTime,
+    combinedSol: wallets.reduce((sum, wallet) => sum + wallet.solAmount, 0),
+    firstSignature: first.signature
+  };
+}
@@ -0,0 +1,324 @@
+import { PublicKey } from '@solana/web3.js';
+import { createFundingRegistry } from './funding-sources.js';
+import { resolveRuleset } from './insider-rules.js';
+import { analyzeWalletForInsiderPatterns, findFundedWallets, runWithTimeout } from './scanner.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { buildFundingGraph, detectClusters } from './funding-graph.js';
+import { applyClusterMembership } from './insider-score.js';
+import { acquireLease, createId, readRecord, releaseLease, writeRecord } from './store.js';
+import { ScanError, classifyError, describeFailure } from './errors.js';
+
+// Resumable auto-discovery jobs.
+//
+// A job walks every funder's signature history backwards, collects freshly
+// funded wallets and analyzes them. All progress lives in the job's cursor
+// (per-funder `before` signature plus the queue of wallets still to analyze),
+// so each invocation does as much as its time budget allows and the next one
+// picks up exactly where it stopped. Jobs are store records, so with the KV
+// backend (see store.js) a step may run on any instance.
+//
+// The job record is rewritten after every unit of work, so it only keeps a
+// short summary per insider found; the full analyses (position ledgers, score
+// breakdowns) are records of their own, loaded by getJobResults.
+
+const COLLECTION = 'discovery-jobs';
+const RESULTS_COLLECTION = 'discovery-results';
+
+// Signatures read (and transactions decoded, in batched requests) per discovery chunk
+const TRANSACTION_CHUNK_SIZE = 50;
+const ANALYSIS_BATCH_SIZE = 5;
+
+// Stop starting new work this long before the budget runs out
+const STEP_MARGIN_MS = 10000;
+
+// A step holding the job longer than this is assumed dead
+const LEASE_MS = 90000;
+
+export async function createDiscoveryJob({ maxWallets = 100, scanDepth = 50, fundingSources = [], ruleset = {} } = {}) {
+  const registry = createFundingRegistry(fundingSources);
+  const now = new Date().toISOString();
+  const job = {
+    id: createId('disc'),
+    status: 'pending',
+    createdAt: now,
+    updatedAt: now,
+    // Scan settings are fixed for the lifetime of the job; the RPC endpoint is
+    // not stored and must be sent with every step.
+    params: {
+      maxWallets: Math.max(1, Math.min(Number(maxWallets) || 100, 1000)),
+      scanDepth: Math.max(1, Math.min(Number(scanDepth) || 50, 50)),
+      fundingSources,
+      ruleset: resolveRuleset(ruleset)
+    },
+    cursor: {
+      funders: registry.addresses().map(address => ({ address, before: null, exhausted: false, signaturesScanned: 0 })),
+      nextFunder: 0,
+      pendingWallets: []
+    },
+    seenWallets: [],
+    // Every funder -> fresh wallet transfer found, kept for the funding graph;
+    // bounded by maxWallets like the queue
+    discoveries: [],
+    discovered: 0,
+    analyzed: 0,
+    failures: [],
+    results: [],
+    error: null,
+    errorCode: null
+  };
+
+  return writeRecord(COLLECTION, job.id, job);
+}
+
+export function getDiscoveryJob(jobId) {
+  return readRecord(COLLECTION, jobId);
+}
+
+// Full analyses of the insiders a job found, best first
+export function getJobResults(job) {
+  return Promise.all(job.results.map(async entry => (
+    // Jobs from before results were split out kept the full analysis inline
+    await readRecord(RESULTS_COLLECTION, resultId(job.id, entry.address)) || entry
+  )));
+}
+
+function resultId(jobId, address) {
+  return `${jobId}-${address}`;
+}
+
+// What the job record keeps of an analysis: enough to list and sort insiders
+function summarizeResult(analysis) {
+  return {
+    address: analysis.address,
+    insiderScore: analysis.insiderScore,
+    isInsider: analysis.isInsider,
+    insiderReason: analysis.insiderReason,
+    fundingSource: analysis.fundingSource,
+    fundingSourceLabel: analysis.fundingSourceLabel,
+    fundingAmount: analysis.fundingAmount,
+    transactions: analysis.transactions,
+    quickTrades: analysis.quickTrades,
+    goodPlays: analysis.goodPlays,
+    cluster: analysis.cluster || null
+  };
+}
+
+function byInsiderScore(a, b) {
+  return (b.insiderScore || 0) - (a.insiderScore || 0);
+}
+
+// Public view of a job: everything except the internal bookkeeping
+export function summarizeJob(job) {
+  const { maxWallets } = job.params;
+  const discoveryDone = job.discovered >= maxWallets || job.cursor.funders.every(funder => funder.exhausted);
+  const target = discoveryDone ? job.discovered : maxWallets;
+
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    maxWallets,
+    scanDepth: job.params.scanDepth,
+    discovered: job.discovered,
+    analyzed: job.analyzed,
+    pending: job.cursor.pendingWallets.length,
+    failed: job.failures.length,
+    insidersFound: job.results.length,
+    signaturesScanned: job.cursor.funders.reduce((sum, funder) => sum + funder.signaturesScanned, 0),
+    funders: job.cursor.funders.map(({ address, before, exhausted, signaturesScanned }) => ({ address, before, exhausted, signaturesScanned })),
+    progress: job.status === 'completed' ? 100 : (target > 0 ? Math.floor((job.analyzed / target) * 100) : 0),
+    error: job.error,
+    errorCode: job.errorCode || null
+  };
+}
+
+// Run one invocation's worth of work. Throws a `JOB_BUSY` ScanError when
+// another step currently holds the job.
+export async function runDiscoveryStep(connection, jobId, { budgetMs = 45000 } = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + budgetMs - STEP_MARGIN_MS;
+
+  // The lease is a separate store key, so two steps can never both see the job as free
+  const lease = await acquireLease(`discovery-${jobId}`, LEASE_MS);
+  if (!lease) {
+    throw new ScanError('JOB_BUSY', `Discovery job ${jobId} is already running`);
+  }
+
+  try {
+    return await runLeasedStep(connection, jobId, startedAt, deadline);
+  } finally {
+    await releaseLease(`discovery-${jobId}`, lease).catch(error => {
+      console.error(`Discovery job ${jobId}: could not release its lease:`, error.message);
+    });
+  }
+}
+
+async function runLeasedStep(connection, jobId, startedAt, deadline) {
+  const job = await getDiscoveryJob(jobId);
+  if (!job) return null;
+  if (job.status === 'completed' || job.status === 'failed') return job;
+
+  job.status = 'running';
+  job.error = null;
+  job.errorCode = null;
+  await writeRecord(COLLECTION, job.id, job);
+
+  const scanOptions = {
+    fundingRegistry: createFundingRegistry(job.params.fundingSources),
+    ruleset: job.params.ruleset,
+    // Shared by discovery and analysis within this step, so funding transfers are fetched once
+    transactionFetcher: createTransactionFetcher(connection)
+  };
+
+  try {
+    while (Date.now() < deadline) {
+      if (job.cursor.pendingWallets.length > 0) {
+        await analyzeNextBatch(connection, job, scanOptions, deadline);
+      } else if (canDiscoverMore(job)) {
+        await discoverNextChunk(connection, job, scanOptions);
+      } else {
+        job.status = 'completed';
+        await scoreClusters(connection, job, scanOptions);
+        break;
+      }
+
+      // Persist after every unit of work so a killed invocation loses little
+      job.updatedAt = new Date().toISOString();
+      await writeRecord(COLLECTION, job.id, job);
+    }
+  } catch (error) {
+    console.error(`Discovery job ${job.id} step failed:`, error);
+    const scanError = classifyError(error);
+    job.error = scanError.message;
+    job.errorCode = scanError.code;
+  }
+
+  job.updatedAt = new Date().toISOString();
+  await writeRecord(COLLECTION, job.id, job);
+
+  console.log(`Discovery job ${job.id} step finished in ${Date.now() - startedAt}ms:`, {
+    status: job.status,
+    discovered: job.discovered,
+    analyzed: job.analyzed,
+    insiders: job.results.length
+  });
+
+  return job;
+}
+
+function canDiscoverMore(job) {
+  return job.discovered < job.params.maxWallets && job.cursor.funders.some(funder => !funder.exhausted);
+}
+
+// Read the next chunk of one funder's history (round robin across funders)
+async function discoverNextChunk(connection, job, scanOptions) {
+  const { funders } = job.cursor;
+  let index = job.cursor.nextFunder % funders.length;
+  while (funders[index].exhausted) index = (index + 1) % funders.length;
+  const funder = funders[index];
+  job.cursor.nextFunder = index + 1;
+
+  const signatures = await connection.getSignaturesForAddress(
+    new PublicKey(funder.address),
+    { limit: TRANSACTION_CHUNK_SIZE, before: funder.before || undefined }
+  );
+
+  console.log(`Discovery job ${job.id}: ${signatures.length} signatures from ${scanOptions.fundingRegistry.labelFor(funder.address)} before ${funder.before || 'latest'}`);
+
+  if (signatures.length < TRANSACTION_CHUNK_SIZE) funder.exhausted = true;
+  if (signatures.length === 0) return;
+
+  const fetched = await scanOptions.transactionFetcher.fetchMany(signatures.map(sig => sig.signature));
+  const transactions = fetched.map(({ signature, tx, error }) => {
+    if (!error) return tx;
+    console.warn(`Discovery job ${job.id}: transaction ${signature} failed:`, error.message);
+    job.failures.push(describeFailure({ address: funder.address, stage: 'discovery', signature }, error));
+    return null;
+  });
+
+  const { maxPreBalanceLamports } = scanOptions.ruleset.rules.freshWallet.params;
+  const seen = new Set(job.seenWallets);
+
+  for (let i = 0; i < signatures.length; i++) {
+    funder.before = signatures[i].signature;
+    funder.signaturesScanned++;
+    if (!transactions[i]) continue;
+
+    for (const recipient of findFundedWallets(transactions[i], funder.address, scanOptions.ruleset)) {
+      if (recipient.preBalance > maxPreBalanceLamports || seen.has(recipient.address)) continue;
+
+      seen.add(recipient.address);
+      job.seenWallets.push(recipient.address);
+      const discovered = {
+        address: recipient.address,
+        fundingSource: funder.address,
+        fundingSourceLabel: scanOptions.fundingRegistry.labelFor(funder.address),
+        fundingAmount: recipient.amount,
+        preBalance: recipient.preBalance,
+        fundedAt: transactions[i].blockTime || signatures[i].blockTime || null,
+        discoveredFrom: signatures[i].signature
+      };
+      job.cursor.pendingWallets.push(discovered);
+      job.discoveries = job.discoveries || [];
+      job.discoveries.push(discovered);
+      job.discovered++;
+
+      if (job.discovered >= job.params.maxWallets) return;
+    }
+  }
+}
+
+// Analyze the next few queued wallets. Analyses still running at the deadline
+// are aborted and their wallets stay queued for the next step.
+async function analyzeNextBatch(connection, job, scanOptions, deadline) {
+  const batch = job.cursor.pendingWallets.slice(0, ANALYSIS_BATCH_SIZE);
+  const timeLeft = deadline + STEP_MARGIN_MS / 2 - Date.now();
+
+  const outcomes = await Promise.all(batch.map(async walletInfo => {
+    try {
+      const analysis = await runWithTimeout(
+        timeLeft,
+        `Analysis of ${walletInfo.address} ran past the step deadline`,
+        (signal, analysisDeadline) => analyzeWalletForInsiderPatterns(connection, walletInfo.address, job.params.scanDepth, { ...scanOptions, signal, deadline: analysisDeadline, discovery: walletInfo })
+      );
+      return { walletInfo, analysis };
+    } catch (error) {
+      return { walletInfo, error };
+    }
+  }));
+
+  for (const { walletInfo, analysis, error } of outcomes) {
+    if (error && error.code === 'BUDGET_EXHAUSTED') continue;
+
+    job.cursor.pendingWallets = job.cursor.pendingWallets.filter(entry => entry.address !== walletInfo.address);
+    job.analyzed++;
+
+    if (error || !analysis) {
+      job.failures.push(describeFailure(
+        { address: walletInfo.address, stage: 'analysis' },
+        error || new ScanError('NOT_FOUND', 'Wallet analysis returned no data')
+      ));
+      continue;
+    }
+
+    if (analysis.isInsider) {
+      await writeRecord(RESULTS_COLLECTION, resultId(job.id, analysis.address), analysis);
+      job.results.push(summarizeResult(analysis));
+      console.log(`✅ Discovery job ${job.id}: insider ${walletInfo.address}`);
+    }
+  }
+
+  job.results.sort(byInsiderScore);
+}
+
+// Clusters over everything discovered feed the score's cluster feature. Built
+// once when the job completes, from the discovery transfers alone (no RPC).
+async function scoreClusters(connection, job, scanOptions) {
+  const graph = await buildFundingGraph(connection, job.discoveries || [], { fundingRegistry: scanOptions.fundingRegistry, deadline: 0 });
+  const analyses = applyClusterMembership(await getJobResults(job), detectClusters(graph));
+  for (const analysis of analyses) {
+    await writeRecord(RESULTS_COLLECTION, resultId(job.id, analysis.address), analysis);
+  }
+  job.results = analyses.map(summarizeResult).sort(byInsiderScore);
+}
@@ -0,0 +1,122 @@
+// Machine-readable error codes shared by every endpoint.
+//
+// Responses use one envelope: { success, code, error, message, recommendation,
+// data, failures }. `data` carries whatever was collected before the failure
+// and `failures` lists per-wallet problems ({ address, stage, signature, code, reason }).
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: {
+    status: 400,
+    recommendation: 'Check the request body: it must be valid JSON with the documented fields'
+  },
+  INVALID_ADDRESS: {
+    status: 400,
+    recommendation: 'Check the wallet address: it must be a base58 Solana public key'
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    recommendation: 'Send the admin secret configured on the server in the X-Admin-Secret header'
+  },
+  NOT_FOUND: {
+    status: 404,
+    recommendation: 'Check the id; jobs and records may expire'
+  },
+  METHOD_NOT_ALLOWED: {
+    status: 405,
+    recommendation: 'Use one of the methods listed in Access-Control-Allow-Methods'
+  },
+  JOB_BUSY: {
+    status: 409,
+    recommendation: 'Another step is still running for this job; retry in a few seconds'
+  },
+  RPC_RATE_LIMITED: {
+    status: 429,
+    recommendation: 'The RPC endpoint is rate limiting requests; wait a moment or use a paid RPC endpoint'
+  },
+  RPC_ERROR: {
+    status: 502,
+    recommendation: 'The RPC endpoint returned an error; check the endpoint URL and API key'
+  },
+  RPC_TIMEOUT: {
+    status: 504,
+    recommendation: 'The RPC endpoint is slow to respond; reduce scan depth or try again'
+  },
+  BUDGET_EXHAUSTED: {
+    status: 504,
+    recommendation: 'The scan ran out of time; reduce scan depth or max wallets, or use auto-discovery jobs'
+  },
+  FIXTURE_MISSING: {
+    status: 500,
+    recommendation: 'The RPC fixture being replayed has no recording of this call; record the scan again with the same parameters'
+  },
+  PARTIAL: {
+    status: 200,
+    recommendation: 'Some wallets could not be analyzed; see failures for details'
+  },
+  INTERNAL: {
+    status: 500,
+    recommendation: 'Unexpected server error; check the function logs'
+  }
+};
+
+export class ScanError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ScanError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL';
+    this.status = ERROR_CODES[this.code].status;
+    this.details = details;
+  }
+}
+
+// HTTP 5xx as web3.js reports it ("failed to get ...: 503 Service Unavailable: ...")
+// or as a status ("status code 502", "HTTP 500"); never a bare number in the message
+const SERVER_ERROR_STATUS = /(?:^|: )5\d\d [A-Z][A-Za-z]|\b(?:[Ss]tatus(?: code)?|HTTP)[:\s]+5\d\d\b/;
+
+// HTTP 429 in the same shapes ("...: 429 Too Many Requests", "Server responded with 429");
+// a bare 429 can be part of a base58 signature or address quoted in the message
+const RATE_LIMIT_STATUS = /(?:^|: |responded with )429\b|\b(?:[Ss]tatus(?: code)?|HTTP)[:\s]+429\b/;
+
+// Map any thrown error (web3.js, fetch, our own timeouts) onto a ScanError
+export function classifyError(error) {
+  if (error instanceof ScanError) return error;
+
+  const message = (error && error.message) || String(error);
+
+  if (error && ERROR_CODES[error.code]) return new ScanError(error.code, message);
+  // web3.js wraps fetch errors in its own, dropping our code
+  if (/RPC fixture/.test(message)) return new ScanError('FIXTURE_MISSING', message);
+  if (/invalid public key|non-base58|invalid address/i.test(message)) return new ScanError('INVALID_ADDRESS', message);
+  if (/too many requests|rate limit/i.test(message) || RATE_LIMIT_STATUS.test(message)) return new ScanError('RPC_RATE_LIMITED', message);
+  if (/timeout|timed out|ETIMEDOUT/i.test(message)) return new ScanError('RPC_TIMEOUT', message);
+  if (/invalid record id/i.test(message)) return new ScanError('INVALID_REQUEST', message);
+  if (/fetch failed|ECONNREFUSED|ENOTFOUND|failed to get/i.test(message) || SERVER_ERROR_STATUS.test(message)) return new ScanError('RPC_ERROR', message);
+
+  return new ScanError('INTERNAL', message);
+}
+
+// Entry for the `failures` list; `target` is { address, stage, signature? }
+export function describeFailure(target, error) {
+  const scanError = classifyError(error);
+  return { ...target, code: scanError.code, reason: scanError.message };
+}
+
+// Send an error envelope. With partial `data` the response is a 200 `PARTIAL`
+// success carrying the original error, so clients keep what was collected.
+export function sendError(res, error, { data = null, failures = [], ...extra } = {}) {
+  const scanError = classifyError(error);
+  const hasData = Array.isArray(data) && data.length > 0;
+  const code = hasData ? 'PARTIAL' : scanError.code;
+
+  res.status(hasData ? ERROR_CODES.PARTIAL.status : scanError.status).json({
+    success: hasData,
+    code,
+    cause: hasData ? scanError.code : undefined,
+    error: scanError.message,
+    recommendation: ERROR_CODES[scanError.code].recommendation,
+    data,
+    failures,
+    ...scanError.details,
+    ...extra
+  });
+}
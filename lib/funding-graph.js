@@ -0,0 +1,399 @@
+import { PublicKey } from '@solana/web3.js';
+import { decodeWalletTransaction, getAccountKeys, getSolBalanceChanges, WSOL_MINT } from './swap-decoder.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { findWalletGenesis } from './wallet-genesis.js';
+import { describeFailure } from './errors.js';
+
+// Funding graph and operator clusters.
+//
+// Nodes are funders, the fresh wallets they funded and the wallets those sent
+// SOL or tokens on to. Edges are transfers with amount, mint and time. Fresh
+// wallets are then grouped into clusters (union-find) when they
+//   - were funded by the same funder within FUNDING_WINDOW_SECONDS of each
+//     other with amounts within AMOUNT_TOLERANCE, or by the same private
+//     (unregistered) funder at any time, or
+//   - swept SOL or tokens to a common destination,
+// and each cluster is scored as a likely single-operator group.
+//
+// expandWallet() builds the same kind of nodes and edges one hop around a
+// single wallet, for the Analyzer's interactive graph.
+
+// Recent transactions read per fresh wallet when looking for onward transfers
+const ONWARD_SIGNATURES = 20;
+
+// Fresh wallets expanded per request, and how many at a time
+const MAX_EXPANDED_WALLETS = 60;
+const EXPAND_CONCURRENCY = 5;
+
+// Ignore SOL movements below this (fees, rent dust)
+const MIN_TRANSFER_LAMPORTS = 1000000;
+
+const FUNDING_WINDOW_SECONDS = 10 * 60;
+const AMOUNT_TOLERANCE = 0.2;
+
+// A node seen in several roles keeps the highest one
+const ROLE_PRIORITY = { recipient: 0, fresh: 1, funder: 2 };
+
+// SOL and token transfers sent or received by `wallet` in one transaction
+// (swaps excluded), each as { from, to, kind, mint, amount, signature, blockTime }
+export function walletTransfers(tx, wallet, signature) {
+  const decoded = decodeWalletTransaction(tx, wallet, signature);
+  if (!decoded || decoded.trades.length > 0) return [];
+
+  const keys = getAccountKeys(tx);
+  const meta = tx.meta;
+  const tokenAccountIndexes = new Set([...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])].map(balance => balance.accountIndex));
+  const transfers = [];
+
+  const changes = getSolBalanceChanges(tx, keys).filter(entry => !tokenAccountIndexes.has(entry.index));
+  const own = changes.find(entry => entry.address === wallet);
+  if (own && own.change < 0) {
+    for (const entry of changes) {
+      if (entry.address === wallet || entry.change < MIN_TRANSFER_LAMPORTS) continue;
+      transfers.push({ from: wallet, to: entry.address, kind: 'sol', mint: null, amount: entry.change / 1e9 });
+    }
+  } else if (own && own.change >= MIN_TRANSFER_LAMPORTS) {
+    for (const entry of changes) {
+      if (entry.address === wallet || entry.change > -MIN_TRANSFER_LAMPORTS) continue;
+      // The sender's change includes its fee; the wallet's own change is the better amount
+      transfers.push({ from: entry.address, to: wallet, kind: 'sol', mint: null, amount: Math.min(-entry.change, own.change) / 1e9 });
+    }
+  }
+
+  // Token transfers: one owner's balance of a mint went down and another's went up
+  const ownerDeltas = new Map();
+  for (const [balances, sign] of [[meta.preTokenBalances || [], -1], [meta.postTokenBalances || [], 1]]) {
+    for (const balance of balances) {
+      if (!balance.owner || balance.mint === WSOL_MINT) continue;
+      const key = `${balance.owner}:${balance.mint}`;
+      const amount = Number((balance.uiTokenAmount || {}).uiAmountString || (balance.uiTokenAmount || {}).uiAmount || 0);
+      ownerDeltas.set(key, (ownerDeltas.get(key) || 0) + sign * amount);
+    }
+  }
+  for (const change of decoded.tokenChanges) {
+    for (const [key, delta] of ownerDeltas.entries()) {
+      const [owner, mint] = key.split(':');
+      if (owner === wallet || mint !== change.mint) continue;
+      if (change.amount < 0 && delta > 0) {
+        transfers.push({ from: wallet, to: owner, kind: 'token', mint, amount: delta });
+      } else if (change.amount > 0 && delta < 0) {
+        transfers.push({ from: owner, to: wallet, kind: 'token', mint, amount: Math.min(-delta, change.amount) });
+      }
+    }
+  }
+
+  return transfers.map(transfer => ({ ...transfer, signature: decoded.signature, blockTime: decoded.blockTime }));
+}
+
+// SOL and token transfers sent by `wallet` in one transaction (swaps excluded)
+export function outgoingTransfers(tx, wallet, signature) {
+  return walletTransfers(tx, wallet, signature).filter(transfer => transfer.from === wallet);
+}
+
+// Build the graph from discovered wallets ({ address, fundingSource,
+// fundingSourceLabel, fundingAmount, fundedAt, discoveredFrom }), expanding
+// each fresh wallet's onward transfers until the deadline (0 skips expansion).
+export async function buildFundingGraph(connection, discoveries, { fundingRegistry = null, deadline = Infinity, failures = [] } = {}) {
+  const nodes = new Map();
+  const edges = [];
+
+  function addNode(address, role, extra = {}) {
+    const existing = nodes.get(address);
+    if (!existing) {
+      nodes.set(address, { id: address, role, ...extra });
+    } else if (ROLE_PRIORITY[role] > ROLE_PRIORITY[existing.role]) {
+      Object.assign(existing, extra, { role });
+    }
+    return nodes.get(address);
+  }
+
+  for (const discovery of discoveries) {
+    const source = fundingRegistry ? fundingRegistry.get(discovery.fundingSource) : null;
+    addNode(discovery.fundingSource, 'funder', {
+      label: discovery.fundingSourceLabel || (source ? source.label : null),
+      registered: Boolean(source)
+    });
+    addNode(discovery.address, 'fresh', { expanded: false });
+    edges.push({
+      from: discovery.fundingSource,
+      to: discovery.address,
+      kind: 'sol',
+      mint: null,
+      amount: Number(discovery.fundingAmount) || 0,
+      blockTime: discovery.fundedAt || null,
+      signature: discovery.discoveredFrom || null,
+      funding: true
+    });
+  }
+
+  const fetcher = createTransactionFetcher(connection);
+  const freshWallets = Array.from(nodes.values()).filter(node => node.role === 'fresh').slice(0, MAX_EXPANDED_WALLETS);
+
+  for (let i = 0; i < freshWallets.length && Date.now() < deadline; i += EXPAND_CONCURRENCY) {
+    await Promise.all(freshWallets.slice(i, i + EXPAND_CONCURRENCY).map(async node => {
+      try {
+        const signatures = await connection.getSignaturesForAddress(new PublicKey(node.id), { limit: ONWARD_SIGNATURES });
+        const fetched = await fetcher.fetchMany(signatures.filter(sig => !sig.err).map(sig => sig.signature));
+
+        for (const { signature, tx, error } of fetched) {
+          if (error) {
+            failures.push(describeFailure({ address: node.id, stage: 'graph', signature }, error));
+            continue;
+          }
+          if (!tx || !tx.meta) continue;
+
+          for (const transfer of outgoingTransfers(tx, node.id, signature)) {
+            addNode(transfer.to, 'recipient');
+            edges.push({ ...transfer, funding: false });
+          }
+        }
+        node.expanded = true;
+      } catch (error) {
+        console.warn(`Funding graph expansion failed for ${node.id}:`, error.message);
+        failures.push(describeFailure({ address: node.id, stage: 'graph' }, error));
+      }
+    }));
+  }
+
+  return { nodes: Array.from(nodes.values()), edges };
+}
+
+// Registry/watchlist category of an address for colouring the graph:
+// the funding source type (exchange, bridge, mixer, other), 'insider' for
+// wallets with an insider verdict on the watchlist, otherwise 'unknown'
+export function classifyAddress(address, { fundingRegistry = null, insiders = new Map() } = {}) {
+  const source = fundingRegistry ? fundingRegistry.get(address) : null;
+  if (source) return { category: source.type, label: source.label, registered: true };
+  if (insiders.has(address)) return { category: 'insider', label: insiders.get(address) || null, registered: false };
+  return { category: 'unknown', label: null, registered: false };
+}
+
+// One hop around a single wallet: who sent it SOL/tokens (ancestry, including
+// the first funder from its genesis) and where it sent them (downstream).
+// `direction` is 'both', 'up' or 'down'. Returns { nodes, edges } to merge
+// into a client-side graph; clicking a node expands it with another call.
+export async function expandWallet(connection, address, options = {}) {
+  const {
+    fundingRegistry = null,
+    insiders = new Map(),
+    direction = 'both',
+    limit = ONWARD_SIGNATURES,
+    includeGenesis = true,
+    failures = []
+  } = options;
+
+  const nodes = new Map();
+  const edges = new Map();
+  const addNode = id => {
+    if (!nodes.has(id)) nodes.set(id, { id, ...classifyAddress(id, { fundingRegistry, insiders }) });
+  };
+  const addEdge = edge => {
+    if (direction === 'up' && edge.to !== address) return;
+    if (direction === 'down' && edge.from !== address) return;
+    const key = `${edge.signature}:${edge.from}:${edge.to}:${edge.mint || 'SOL'}`;
+    if (edges.has(key)) {
+      if (edge.genesis) edges.get(key).genesis = true;
+      return;
+    }
+    addNode(edge.from);
+    addNode(edge.to);
+    edges.set(key, edge);
+  };
+
+  addNode(address);
+  nodes.get(address).expanded = true;
+
+  const fetcher = createTransactionFetcher(connection);
+  const signatures = await connection.getSignaturesForAddress(new PublicKey(address), { limit });
+  const fetched = await fetcher.fetchMany(signatures.filter(sig => !sig.err).map(sig => sig.signature));
+
+  for (const { signature, tx, error } of fetched) {
+    if (error) {
+      failures.push(describeFailure({ address, stage: 'graph', signature }, error));
+      continue;
+    }
+    if (!tx || !tx.meta) continue;
+    for (const transfer of walletTransfers(tx, address, signature)) {
+      addEdge({ ...transfer, funding: transfer.to === address && transfer.kind === 'sol' });
+    }
+  }
+
+  // Older wallets' funding is usually far beyond the recent page
+  let genesis = null;
+  if (includeGenesis && direction !== 'down') {
+    try {
+      genesis = await findWalletGenesis(connection, address, {
+        fundingRegistry,
+        transactionFetcher: fetcher,
+        maxPages: 2,
+        initialSignatures: signatures,
+        initialLimit: limit
+      });
+      if (genesis.firstFunder) {
+        addEdge({
+          from: genesis.firstFunder,
+          to: address,
+          kind: 'sol',
+          mint: null,
+          amount: genesis.firstFundingAmount,
+          signature: genesis.firstFundingSignature,
+          blockTime: genesis.firstFundingAt,
+          funding: true,
+          genesis: true
+        });
+      }
+    } catch (error) {
+      console.warn(`Genesis lookup failed for ${address}:`, error.message);
+      failures.push(describeFailure({ address, stage: 'genesis' }, error));
+    }
+  }
+
+  const edgeList = Array.from(edges.values()).sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+  return {
+    address,
+    nodes: Array.from(nodes.values()),
+    edges: edgeList,
+    genesis,
+    signaturesScanned: signatures.length
+  };
+}
+
+function createUnionFind(items) {
+  const parent = new Map(items.map(item => [item, item]));
+  const find = item => {
+    while (parent.get(item) !== item) {
+      parent.set(item, parent.get(parent.get(item)));
+      item = parent.get(item);
+    }
+    return item;
+  };
+  return {
+    find,
+    union: (a, b) => parent.set(find(a), find(b))
+  };
+}
+
+function similarAmounts(a, b) {
+  const larger = Math.max(a, b);
+  return larger > 0 && Math.abs(a - b) / larger <= AMOUNT_TOLERANCE;
+}
+
+// Group fresh wallets into clusters and score each as a likely single operator
+export function detectClusters(graph) {
+  const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+  const fresh = graph.nodes.filter(node => node.role === 'fresh').map(node => node.id);
+  const freshSet = new Set(fresh);
+  const unionFind = createUnionFind(fresh);
+  const links = [];
+
+  // Funding links
+  const fundingByFunder = new Map();
+  for (const edge of graph.edges.filter(entry => entry.funding)) {
+    if (!fundingByFunder.has(edge.from)) fundingByFunder.set(edge.from, []);
+    fundingByFunder.get(edge.from).push(edge);
+  }
+  for (const [funder, fundings] of fundingByFunder.entries()) {
+    // Everything a private (unregistered) funder paid belongs together
+    if (!nodesById.get(funder).registered) {
+      for (const other of fundings.slice(1)) {
+        unionFind.union(fundings[0].to, other.to);
+        links.push({ wallets: [fundings[0].to, other.to], reason: 'private-funder', via: funder });
+      }
+      continue;
+    }
+
+    // Exchanges fund everyone; only same-size transfers minutes apart count
+    fundings.sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+    for (let i = 0; i < fundings.length; i++) {
+      for (let j = i + 1; j < fundings.length; j++) {
+        const a = fundings[i];
+        const b = fundings[j];
+        if (!a.blockTime || !b.blockTime) continue;
+        if (b.blockTime - a.blockTime > FUNDING_WINDOW_SECONDS) break;
+        if (similarAmounts(a.amount, b.amount) && a.to !== b.to) {
+          unionFind.union(a.to, b.to);
+          links.push({ wallets: [a.to, b.to], reason: 'coordinated-funding', via: funder });
+        }
+      }
+    }
+  }
+
+  // Sweep links: two fresh wallets sending to the same destination
+  const sendersByDestination = new Map();
+  for (const edge of graph.edges.filter(entry => !entry.funding && freshSet.has(entry.from))) {
+    if (!sendersByDestination.has(edge.to)) sendersByDestination.set(edge.to, new Set());
+    sendersByDestination.get(edge.to).add(edge.from);
+  }
+  for (const [destination, senders] of sendersByDestination.entries()) {
+    // Sending to a registered funder (an exchange deposit) says nothing about the operator
+    const destinationNode = nodesById.get(destination);
+    if (senders.size < 2 || (destinationNode && destinationNode.registered)) continue;
+    const [first, ...rest] = Array.from(senders);
+    for (const other of rest) {
+      unionFind.union(first, other);
+      links.push({ wallets: [first, other], reason: 'common-sweep', via: destination });
+    }
+  }
+
+  const groups = new Map();
+  for (const wallet of fresh) {
+    const root = unionFind.find(wallet);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(wallet);
+  }
+
+  const clusters = [];
+  for (const wallets of groups.values()) {
+    if (wallets.length < 2) continue;
+    const members = new Set(wallets);
+    clusters.push(scoreCluster(wallets, links.filter(link => members.has(link.wallets[0])), graph));
+  }
+
+  return clusters
+    .sort((a, b) => b.score - a.score || b.wallets.length - a.wallets.length)
+    .map((cluster, index) => ({ id: `cluster-${index + 1}`, ...cluster }));
+}
+
+function scoreCluster(wallets, links, graph) {
+  const members = new Set(wallets);
+  const fundings = graph.edges.filter(edge => edge.funding && members.has(edge.to));
+  const amounts = fundings.map(edge => edge.amount).filter(amount => amount > 0);
+  const times = fundings.map(edge => edge.blockTime).filter(Boolean);
+
+  const reasons = {
+    coordinatedFunding: links.filter(link => link.reason === 'coordinated-funding').length,
+    privateFunder: links.filter(link => link.reason === 'private-funder').length,
+    commonSweep: links.filter(link => link.reason === 'common-sweep').length
+  };
+
+  const mean = amounts.length > 0 ? amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length : 0;
+  const deviation = amounts.length > 1
+    ? Math.sqrt(amounts.reduce((sum, amount) => sum + Math.pow(amount - mean, 2), 0) / amounts.length)
+    : 0;
+  const amountVariation = mean > 0 ? deviation / mean : null;
+  const fundingSpreadSeconds = times.length > 1 ? Math.max(...times) - Math.min(...times) : null;
+  const sweepDestinations = Array.from(new Set(links.filter(link => link.reason === 'common-sweep').map(link => link.via)));
+  const funders = Array.from(new Set(fundings.map(edge => edge.from)));
+
+  // 0-100: common sweep destinations are the strongest evidence of one operator,
+  // then private funders, then tight same-size funding bursts; bigger groups add a little
+  let score = 0;
+  if (reasons.commonSweep > 0) score += 40;
+  if (reasons.privateFunder > 0) score += 25;
+  if (reasons.coordinatedFunding > 0) score += 20;
+  if (amountVariation !== null && amountVariation <= 0.1) score += 10;
+  if (fundingSpreadSeconds !== null && fundingSpreadSeconds <= FUNDING_WINDOW_SECONDS) score += 5;
+  score = Math.min(100, score + Math.min(wallets.length - 2, 5) * 2);
+
+  return {
+    wallets,
+    funders,
+    sweepDestinations,
+    reasons,
+    fundingSpreadSeconds,
+    averageFundingSol: mean,
+    amountVariation,
+    score,
+    likelySingleOperator: score >= 60
+  };
+}
@@ -0,0 +1,64 @@
+// Registry of known funding sources (exchange hot wallets, bridges, mixers)
+// that seed fresh insider wallets. Scan requests can add to or override the
+// defaults by passing a `fundingSources` array in the body.
+
+export const FUNDING_SOURCE_TYPES = ['exchange', 'bridge', 'mixer', 'other'];
+
+export const DEFAULT_FUNDING_SOURCES = [
+  { address: '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9', label: 'Binance 2', type: 'exchange' },
+  { address: 'G2YxRa6wt1qePMwfJzdXZG62ej4qaTC7YURzuh2Lwd3t', label: 'Changenow', type: 'exchange' }
+];
+
+// Build a registry from the defaults plus per-request overrides.
+// An override with a known address replaces its label/type; `enabled: false`
+// removes the source for this request; unknown addresses are appended.
+export function createFundingRegistry(overrides = []) {
+  const sources = new Map();
+
+  for (const source of DEFAULT_FUNDING_SOURCES) {
+    sources.set(source.address, { ...source, builtin: true });
+  }
+
+  for (const override of Array.isArray(overrides) ? overrides : []) {
+    if (!override || typeof override.address !== 'string' || !override.address.trim()) {
+      console.warn('Ignoring funding source override without address:', override);
+      continue;
+    }
+
+    const address = override.address.trim();
+    const existing = sources.get(address);
+
+    if (override.enabled === false) {
+      sources.delete(address);
+      continue;
+    }
+
+    const type = FUNDING_SOURCE_TYPES.includes(override.type) ? override.type : (existing ? existing.type : 'other');
+
+    sources.set(address, {
+      address,
+      label: override.label || (existing ? existing.label : `${address.slice(0, 4)}…${address.slice(-4)}`),
+      type,
+      builtin: existing ? existing.builtin : false
+    });
+  }
+
+  return {
+    list() {
+      return Array.from(sources.values());
+    },
+    addresses() {
+      return Array.from(sources.keys());
+    },
+    has(address) {
+      return sources.has(String(address));
+    },
+    get(address) {
+      return sources.get(String(address)) || null;
+    },
+    labelFor(address) {
+      const source = sources.get(String(address));
+      return source ? source.label : 'Unknown';
+    }
+  };
+}
@@ -0,0 +1,60 @@
+// Shared response helpers for the API functions.
+
+// Set CORS headers and answer preflight requests.
+// Returns true when the request was an OPTIONS preflight and has been handled.
+export function applyCors(req, res, methods = 'GET, POST, OPTIONS') {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Admin-Secret, X-Requested-With, Origin, Accept');
+  res.setHeader('Access-Control-Max-Age', '86400');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end('OK');
+    return true;
+  }
+
+  return false;
+}
+
+// Request body as an object. Vercel only pre-parses JSON bodies when the
+// Content-Type says so, so string bodies are parsed here.
+// Throws a SyntaxError on invalid JSON.
+export function parseJsonBody(req) {
+  const body = req.body || {};
+  return typeof body === 'string' ? JSON.parse(body || '{}') : body;
+}
+
+// True when the client asked for Server-Sent Events
+export function wantsEventStream(req) {
+  return String((req.headers && req.headers.accept) || '').includes('text/event-stream');
+}
+
+// Switch the response to Server-Sent Events. Returns send(event, data) and close().
+// Writes after the client disconnected are dropped.
+export function openEventStream(res) {
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
@@ -0,0 +1,278 @@
+// Insider rule engine.
+//
+// Each criterion is a named rule with default parameters and a weight. A rule
+// measures one value from the analysis context and tests it against its params.
+// A wallet is an insider when every enabled `required` rule passes and the
+// weighted share of passed rules reaches the ruleset's `minScore` (0-1).
+// Rules whose measurement is unavailable (null/undefined) are skipped and do
+// not count towards the score.
+
+const RULES = new Map();
+
+export function registerRule(rule) {
+  if (!rule || !rule.name || typeof rule.measure !== 'function' || typeof rule.test !== 'function') {
+    throw new Error('A rule needs a name, measure() and test()');
+  }
+  RULES.set(rule.name, rule);
+}
+
+export function listRules() {
+  return Array.from(RULES.values()).map(rule => ({
+    name: rule.name,
+    description: rule.description,
+    defaults: rule.defaults
+  }));
+}
+
+// Merge a request ruleset ({ minScore, rules: { name: { enabled, required, weight, params } } })
+// onto the registered defaults. Unknown rule names are ignored.
+export function resolveRuleset(input = {}) {
+  const overrides = (input && typeof input.rules === 'object' && input.rules) || {};
+  const rules = {};
+
+  for (const rule of RULES.values()) {
+    const override = overrides[rule.name] || {};
+    const params = { ...rule.defaults.params };
+
+    for (const [key, value] of Object.entries(override.params || {})) {
+      if (key in params && value !== '' && value !== null && Number.isFinite(Number(value))) {
+        params[key] = Number(value);
+      }
+    }
+
+    rules[rule.name] = {
+      enabled: override.enabled !== undefined ? Boolean(override.enabled) : rule.defaults.enabled,
+      required: override.required !== undefined ? Boolean(override.required) : rule.defaults.required,
+      weight: Number.isFinite(Number(override.weight)) ? Math.max(0, Number(override.weight)) : rule.defaults.weight,
+      params
+    };
+  }
+
+  for (const name of Object.keys(overrides)) {
+    if (!RULES.has(name)) console.warn(`Ignoring unknown insider rule: ${name}`);
+  }
+
+  const minScore = Number(input && input.minScore);
+
+  return {
+    minScore: Number.isFinite(minScore) ? Math.min(Math.max(minScore, 0), 1) : 0,
+    rules
+  };
+}
+
+// Evaluate every enabled rule against the analysis context.
+export function evaluateRules(context, ruleset = resolveRuleset()) {
+  const passed = [];
+  const failed = [];
+  const skipped = [];
+  let passedWeight = 0;
+  let evaluatedWeight = 0;
+
+  for (const [name, config] of Object.entries(ruleset.rules)) {
+    const rule = RULES.get(name);
+    if (!rule || !config.enabled) continue;
+
+    const measured = rule.measure(context, config.params);
+    const entry = {
+      name,
+      description: rule.description,
+      params: config.params,
+      weight: config.weight,
+      required: config.required,
+      measured
+    };
+
+    if (measured === null || measured === undefined) {
+      skipped.push({ ...entry, message: `${rule.description}: not measurable for this wallet` });
+      continue;
+    }
+
+    evaluatedWeight += config.weight;
+
+    if (rule.test(measured, config.params)) {
+      passedWeight += config.weight;
+      passed.push({ ...entry, passed: true, pattern: rule.pattern(measured, config.params, context) });
+    } else {
+      failed.push({ ...entry, passed: false, message: rule.explain(measured, config.params, context) });
+    }
+  }
+
+  const score = evaluatedWeight > 0 ? passedWeight / evaluatedWeight : 0;
+  const requiredMet = failed.every(result => !result.required)
+    && skipped.every(result => !result.required);
+
+  return {
+    isInsider: requiredMet && passed.length > 0 && score >= ruleset.minScore,
+    score: Number(score.toFixed(3)),
+    minScore: ruleset.minScore,
+    passed,
+    failed,
+    skipped
+  };
+}
+
+// Measured value of a rule in an evaluation, or null when it did not run
+export function ruleMeasurement(evaluation, name) {
+  const result = [...evaluation.passed, ...evaluation.failed, ...evaluation.skipped]
+    .find(entry => entry.name === name);
+  return result && result.measured !== undefined ? result.measured : null;
+}
+
+registerRule({
+  name: 'fundingSource',
+  description: 'Funded by a registered funding source',
+  defaults: { enabled: true, required: true, weight: 1, params: {} },
+  measure: context => (context.funding ? context.funding.sourceLabel : false),
+  test: measured => Boolean(measured),
+  explain: () => 'Not funded by insider wallet',
+  pattern: measured => `Funded by ${measured}`
+});
+
+registerRule({
+  name: 'freshWallet',
+  description: 'First transaction was the funding from a registered source',
+  defaults: { enabled: true, required: true, weight: 1, params: { maxPreBalanceLamports: 1000 } },
+  // With full history (genesis) this is a yes/no check; otherwise fall back to
+  // the wallet's balance right before the funding transfer.
+  measure: context => {
+    if (context.genesis && context.genesis.complete) {
+      return context.genesis.firstTransactionIsFunding && context.genesis.firstFunderRegistered;
+    }
+    return context.funding ? context.funding.preBalanceLamports : null;
+  },
+  test: (measured, params) => (typeof measured === 'boolean' ? measured : measured <= params.maxPreBalanceLamports),
+  explain: (measured, params, context) => {
+    if (typeof measured === 'boolean' && context.genesis) {
+      if (!context.genesis.firstTransactionIsFunding) return 'Not a fresh wallet (first transaction was not a funding transfer)';
+      return `Not a fresh wallet (first funded by unregistered ${context.genesis.firstFunder || 'unknown sender'})`;
+    }
+    return 'Not a fresh wallet (already existed before funding)';
+  },
+  pattern: (measured, params, context) => `FRESH wallet FIRST funded by ${context.funding ? context.funding.sourceLabel : context.genesis.firstFunderLabel}`
+});
+
+registerRule({
+  name: 'fundingAmount',
+  description: 'Funding amount within range (SOL)',
+  defaults: { enabled: true, required: true, weight: 1, params: { minSol: 0.5, maxSol: 2.5 } },
+  measure: context => (context.funding ? context.funding.amountSol : null),
+  test: (measured, params) => measured >= params.minSol && measured <= params.maxSol,
+  explain: (measured, params) => `Funding amount ${measured.toFixed(4)} SOL outside ${params.minSol}-${params.maxSol} range`,
+  pattern: () => 'Optimal Funding Range'
+});
+
+registerRule({
+  name: 'quickTrades',
+  description: 'Quick (wash) round trips within the max hold time',
+  defaults: { enabled: true, required: true, weight: 1, params: { min: 3, maxHoldSeconds: 60 } },
+  measure: (context, params) => (context.roundTrips || []).filter(trip =>
+    trip.holdSeconds !== null && trip.holdSeconds <= params.maxHoldSeconds
+  ).length,
+  test: (measured, params) => measured >= params.min,
+  explain: (measured, params) => `Need ${params.min - measured} more wash trades`,
+  pattern: () => 'High Wash Trading'
+});
+
+registerRule({
+  name: 'goodPlays',
+  description: 'Profitable round trips held longer than the minimum hold time',
+  defaults: { enabled: true, required: true, weight: 1, params: { min: 1, minProfitSol: 0.1, minHoldSeconds: 300 } },
+  measure: (context, params) => (context.roundTrips || []).filter(trip =>
+    trip.holdSeconds !== null && trip.holdSeconds > params.minHoldSeconds && trip.pnlSol > params.minProfitSol
+  ).length,
+  test: (measured, params) => measured >= params.min,
+  explain: (measured, params) => `Need ${params.min - measured} more good plays`,
+  pattern: () => 'Hidden Good Plays'
+});
+
+registerRule({
+  name: 'totalTrades',
+  description: 'Total decoded swaps',
+  defaults: { enabled: true, required: true, weight: 1, params: { min: 10 } },
+  measure: context => (context.trades || []).length,
+  test: (measured, params) => measured >= params.min,
+  explain: (measured, params) => `Need ${params.min - measured} more total trades`,
+  pattern: () => 'High Transaction Volume'
+});
+
+registerRule({
+  name: 'holdTime',
+  description: 'Average round-trip hold time (hours)',
+  defaults: { enabled: false, required: false, weight: 1, params: { maxHours: 1 } },
+  measure: context => {
+    const holds = (context.roundTrips || []).filter(trip => trip.holdSeconds !== null);
+    if (holds.length === 0) return null;
+    return holds.reduce((sum, trip) => sum + trip.holdSeconds, 0) / holds.length / 3600;
+  },
+  test: (measured, params) => measured <= params.maxHours,
+  explain: (measured, params) => `Average hold time ${measured.toFixed(2)}h above ${params.maxHours}h`,
+  pattern: () => 'Short Hold Times'
+});
+
+registerRule({
+  name: 'profitPercent',
+  description: 'Realized profit relative to funding (%)',
+  defaults: { enabled: false, required: false, weight: 1, params: { minPercent: 20 } },
+  measure: context => {
+    if (!context.funding || !context.funding.amountSol) return null;
+    return (context.totalProfitSol / context.funding.amountSol) * 100;
+  },
+  test: (measured, params) => measured >= params.minPercent,
+  explain: (measured, params) => `Profit ${measured.toFixed(1)}% below ${params.minPercent}%`,
+  pattern: measured => `${measured.toFixed(0)}% Return on Funding`
+});
+
+registerRule({
+  name: 'tradeVolume',
+  description: 'Total swapped volume (SOL)',
+  defaults: { enabled: false, required: false, weight: 1, params: { minSol: 0.1 } },
+  measure: context => (context.trades || []).reduce((sum, trade) => sum + trade.solAmount, 0),
+  test: (measured, params) => measured >= params.minSol,
+  explain: (measured, params) => `Trade volume ${measured.toFixed(2)} SOL below ${params.minSol} SOL`,
+  pattern: () => 'Meaningful Trade Volume'
+});
+
+registerRule({
+  name: 'successRate',
+  description: 'Share of profitable round trips (%)',
+  defaults: { enabled: false, required: false, weight: 1, params: { minPercent: 70 } },
+  measure: context => {
+    const roundTrips = context.roundTrips || [];
+    if (roundTrips.length === 0) return null;
+    return (roundTrips.filter(trip => trip.pnlSol > 0).length / roundTrips.length) * 100;
+  },
+  test: (measured, params) => measured >= params.minPercent,
+  explain: (measured, params) => `Success rate ${measured.toFixed(0)}% below ${params.minPercent}%`,
+  pattern: measured => `${measured.toFixed(0)}% Success Rate`
+});
+
+registerRule({
+  name: 'earlyEntry',
+  description: 'Entries within the first minutes of a token launch',
+  defaults: { enabled: false, required: false, weight: 1, params: { min: 1, maxMinutes: 5 } },
+  measure: (context, params) => {
+    if (!Array.isArray(context.entries)) return null;
+    return context.entries.filter(entry =>
+      entry.secondsAfterLaunch !== null && entry.secondsAfterLaunch !== undefined &&
+      entry.secondsAfterLaunch <= params.maxMinutes * 60
+    ).length;
+  },
+  test: (measured, params) => measured >= params.min,
+  explain: (measured, params) => `Need ${params.min - measured} more entries within ${params.maxMinutes} min of launch`,
+  pattern: () => 'Early Entries'
+});
+
+registerRule({
+  name: 'subMinuteEntries',
+  description: 'Repeated entries within seconds of a token launch',
+  defaults: { enabled: true, required: false, weight: 1, params: { min: 2, maxSeconds: 60 } },
+  measure: (context, params) => {
+    if (!Array.isArray(context.entries)) return null;
+    const timed = context.entries.filter(entry => entry.secondsAfterLaunch !== null && entry.secondsAfterLaunch !== undefined);
+    if (timed.length === 0) return null;
+    return timed.filter(entry => entry.secondsAfterLaunch <= params.maxSeconds).length;
+  },
+  test: (measured, params) => measured >= params.min,
+  explain: (measured, params) => `${measured} entries within ${params.maxSeconds}s of launch, need ${params.min}`,
+  pattern: (measured, params) => `${measured} Entries Within ${params.maxSeconds}s of Launch`
+});
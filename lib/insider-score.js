@@ -0,0 +1,190 @@
+import { resolveRuleset } from './insider-rules.js';
+
+// Numeric insider score (0-100) with an explainable breakdown.
+//
+// The rule engine gives a yes/no verdict; this score ranks wallets. Each
+// feature measures a strength between 0 and 1 and contributes
+// strength * weight points (the weights add up to 100). A feature that cannot
+// be measured for a wallet (no round trips, unknown launch times, clusters not
+// evaluated) contributes nothing and lowers `coverage` instead.
+
+const FUNDER_TYPE_STRENGTH = { mixer: 1, bridge: 0.8, other: 0.7, exchange: 0.6 };
+
+// An unregistered first funder is a private wallet, which says less than a known source
+const PRIVATE_FUNDER_STRENGTH = 0.4;
+
+// Entries this many times the early-entry window after launch count for nothing
+const EARLY_ENTRY_FALLOFF = 3;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const FEATURES = [
+  {
+    name: 'fundingFreshness',
+    label: 'Funding freshness',
+    weight: 25,
+    measure(context, ruleset) {
+      const { genesis, funding } = context;
+      if (genesis && genesis.complete) {
+        return genesis.firstTransactionIsFunding
+          ? { strength: 1, value: true, detail: 'First transaction was the funding transfer' }
+          : { strength: 0, value: false, detail: 'First transaction was not a funding transfer' };
+      }
+      if (funding && funding.preBalanceLamports !== null && funding.preBalanceLamports !== undefined) {
+        const maxPreBalance = ruleset.rules.freshWallet.params.maxPreBalanceLamports;
+        return funding.preBalanceLamports <= maxPreBalance
+          ? { strength: 0.7, value: funding.preBalanceLamports, detail: 'Empty before the funding transfer (full history not read)' }
+          : { strength: 0, value: funding.preBalanceLamports, detail: `Held ${(funding.preBalanceLamports / 1e9).toFixed(4)} SOL before the funding transfer` };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'funderReputation',
+    label: 'Funder reputation',
+    weight: 15,
+    measure(context) {
+      const { genesis, funding } = context;
+      if (funding && funding.sourceLabel) {
+        const strength = FUNDER_TYPE_STRENGTH[funding.sourceType] || FUNDER_TYPE_STRENGTH.other;
+        return { strength, value: funding.sourceType || 'other', detail: `Funded by ${funding.sourceLabel} (${funding.sourceType || 'other'})` };
+      }
+      if (genesis && genesis.firstFunder) {
+        return { strength: PRIVATE_FUNDER_STRENGTH, value: 'private', detail: `First funded by unregistered wallet ${genesis.firstFunder}` };
+      }
+      if (genesis && genesis.complete) {
+        return { strength: 0, value: null, detail: 'No funding transfer found' };
+      }
+      return null;
+    }
+  },
+  {
+    name: 'washRatio',
+    label: 'Wash ratio',
+    weight: 20,
+    measure(context, ruleset) {
+      const roundTrips = context.roundTrips || [];
+      const volume = roundTrips.reduce((sum, trip) => sum + trip.costSol + trip.proceedsSol, 0);
+      if (volume <= 0) return null;
+      const window = ruleset.rules.quickTrades.params.maxHoldSeconds;
+      const quickVolume = roundTrips
+        .filter(trip => trip.holdSeconds !== null && trip.holdSeconds <= window)
+        .reduce((sum, trip) => sum + trip.costSol + trip.proceedsSol, 0);
+      const ratio = quickVolume / volume;
+      return { strength: ratio, value: ratio, detail: `${(ratio * 100).toFixed(0)}% of round-trip volume closed within ${window}s` };
+    }
+  },
+  {
+    name: 'goodPlayMultiple',
+    label: 'Good-play multiple',
+    weight: 15,
+    measure(context, ruleset) {
+      const roundTrips = context.roundTrips || [];
+      if (roundTrips.length === 0) return null;
+      const { minHoldSeconds } = ruleset.rules.goodPlays.params;
+      const multiples = roundTrips
+        .filter(trip => trip.holdSeconds !== null && trip.holdSeconds > minHoldSeconds && trip.multiple !== null)
+        .map(trip => trip.multiple);
+      const best = multiples.length > 0 ? Math.max(...multiples) : null;
+      if (!best || best <= 1) {
+        return { strength: 0, value: best, detail: 'No profitable round trip held past the good-play minimum' };
+      }
+      // 10x or better is full strength, 2x is about a third
+      return { strength: Math.min(1, Math.log10(best)), value: best, detail: `Best held round trip returned ${best.toFixed(2)}x` };
+    }
+  },
+  {
+    name: 'earlyEntryLatency',
+    label: 'Early-entry latency',
+    weight: 15,
+    measure(context, ruleset) {
+      const latencies = (context.entries || [])
+        .map(entry => entry.secondsAfterLaunch)
+        .filter(seconds => seconds !== null && seconds !== undefined);
+      if (latencies.length === 0) return null;
+      const window = ruleset.rules.earlyEntry.params.maxMinutes * 60;
+      const latency = median(latencies);
+      const limit = window * EARLY_ENTRY_FALLOFF;
+      // A window short enough that the falloff ends within the first minute leaves nothing to scale
+      const strength = latency <= 60 ? 1 : limit <= 60 ? 0 : Math.max(0, Math.min(1, (limit - latency) / (limit - 60)));
+      return { strength, value: latency, detail: `Median entry ${Math.round(latency)}s after launch over ${latencies.length} tokens` };
+    }
+  },
+  {
+    name: 'clusterMembership',
+    label: 'Cluster membership',
+    weight: 10,
+    measure(context) {
+      if (context.cluster === undefined) return null;
+      if (!context.cluster) return { strength: 0, value: null, detail: 'Not part of any funding cluster' };
+      return {
+        strength: context.cluster.score / 100,
+        value: context.cluster.id,
+        detail: `Member of ${context.cluster.id} (${context.cluster.size} wallets, cluster score ${context.cluster.score})`
+      };
+    }
+  }
+];
+
+export const SCORE_FEATURES = FEATURES.map(({ name, label, weight }) => ({ name, label, weight }));
+
+function summarize(features) {
+  const score = features.reduce((sum, feature) => sum + feature.contribution, 0);
+  const coverage = features.filter(feature => feature.available).reduce((sum, feature) => sum + feature.weight, 0) / 100;
+  return { score: Math.round(score), coverage: Number(coverage.toFixed(2)), features };
+}
+
+function scoreFeature(feature, measured) {
+  return {
+    name: feature.name,
+    label: feature.label,
+    weight: feature.weight,
+    available: Boolean(measured),
+    strength: measured ? Number(measured.strength.toFixed(3)) : null,
+    value: measured ? measured.value : null,
+    contribution: measured ? Number((measured.strength * feature.weight).toFixed(2)) : 0,
+    detail: measured ? measured.detail : 'Not measurable for this wallet'
+  };
+}
+
+// Score an analysis context ({ funding, genesis, roundTrips, entries, cluster }).
+// Returns { score, coverage, features: [{ name, label, weight, available, strength, value, contribution, detail }] }.
+export function computeInsiderScore(context, ruleset = resolveRuleset()) {
+  return summarize(FEATURES.map(feature => scoreFeature(feature, feature.measure(context, ruleset))));
+}
+
+// Set the cluster feature of already scored wallets once clusters across the
+// whole scan are known. `clusters` comes from detectClusters(); wallets in
+// none of them get a zero cluster contribution.
+export function applyClusterMembership(wallets, clusters) {
+  const clusterByWallet = new Map();
+  for (const cluster of clusters) {
+    for (const address of cluster.wallets) {
+      clusterByWallet.set(address, {
+        id: cluster.id,
+        score: cluster.score,
+        size: cluster.wallets.length,
+        likelySingleOperator: cluster.likelySingleOperator
+      });
+    }
+  }
+
+  const feature = FEATURES.find(entry => entry.name === 'clusterMembership');
+  for (const wallet of wallets) {
+    if (!wallet || !wallet.scoreBreakdown) continue;
+    const cluster = clusterByWallet.get(wallet.address) || null;
+    wallet.cluster = cluster;
+    const features = wallet.scoreBreakdown.features.map(entry => (
+      entry.name === feature.name ? scoreFeature(feature, feature.measure({ cluster })) : entry
+    ));
+    wallet.scoreBreakdown = summarize(features);
+    wallet.insiderScore = wallet.scoreBreakdown.score;
+  }
+
+  return wallets;
+}
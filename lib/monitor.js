@@ -0,0 +1,267 @@
+import { PublicKey } from '@solana/web3.js';
+import { createFundingRegistry } from './funding-sources.js';
+import { resolveRuleset } from './insider-rules.js';
+import { decodeWalletTransaction } from './swap-decoder.js';
+import { findFundedWallets } from './scanner.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { listWatchlist } from './watchlist.js';
+import { createId, readRecord, writeRecord } from './store.js';
+import { ScanError, describeFailure } from './errors.js';
+
+// Activity monitor for watched wallets and registered funders.
+//
+// Every target keeps the last signature it has been checked up to. A tick
+// only fetches signatures newer than that (`until` cursor), decodes them and
+// turns what it finds into alerts:
+//   funder-funded-wallet  a funder sent an amount in the funding range to a brand-new wallet
+//   insider-buy / wallet-buy  a watched wallet (insider or not) bought a token
+//   position-exit         a watched wallet sold its last tokens of a mint
+// The first time a target is seen only its cursor is set, so starting the
+// monitor never replays old history as alerts.
+
+const COLLECTION = 'monitor';
+const STATE_ID = 'state';
+
+// Newest signatures read per target and tick; anything older is skipped
+const MAX_NEW_SIGNATURES = 100;
+
+const MAX_STORED_ALERTS = 200;
+
+// Stop starting new targets this long before the budget runs out
+const TICK_MARGIN_MS = 10000;
+
+// A tick holding the monitor longer than this is assumed dead
+const LEASE_MS = 90000;
+
+function emptyState() {
+  return { id: STATE_ID, cursors: {}, alerts: [], lockedUntil: 0, lastTickAt: null, ticks: 0 };
+}
+
+export async function getMonitorState() {
+  return (await readRecord(COLLECTION, STATE_ID)) || emptyState();
+}
+
+// Public view of the monitor state
+export function summarizeMonitor(state) {
+  const cursors = Object.values(state.cursors);
+  return {
+    lastTickAt: state.lastTickAt,
+    ticks: state.ticks,
+    wallets: cursors.filter(cursor => cursor.role === 'wallet').length,
+    funders: cursors.filter(cursor => cursor.role === 'funder').length,
+    alerts: state.alerts.length,
+    cursors
+  };
+}
+
+export function alertsSince(state, since) {
+  if (!since) return state.alerts;
+  return state.alerts.filter(alert => alert.createdAt > since);
+}
+
+// Remaining balance of `mint` the wallet holds after the transaction
+function remainingTokens(tx, wallet, mint) {
+  return (tx.meta.postTokenBalances || [])
+    .filter(balance => balance.owner === wallet && balance.mint === mint)
+    .reduce((sum, balance) => sum + Number((balance.uiTokenAmount || {}).uiAmountString || (balance.uiTokenAmount || {}).uiAmount || 0), 0);
+}
+
+function createAlert(type, fields) {
+  return {
+    id: createId('alert'),
+    type,
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+function funderAlerts(tx, signature, funder, label, ruleset) {
+  const { maxPreBalanceLamports } = ruleset.rules.freshWallet.params;
+
+  return findFundedWallets(tx, funder, ruleset)
+    .filter(recipient => recipient.preBalance <= maxPreBalanceLamports)
+    .map(recipient => createAlert('funder-funded-wallet', {
+      severity: 'warning',
+      funder,
+      funderLabel: label,
+      wallet: recipient.address,
+      amountSol: recipient.amount,
+      signature,
+      blockTime: tx.blockTime || null,
+      message: `${label} sent ${recipient.amount.toFixed(4)} SOL to new wallet ${recipient.address}`
+    }));
+}
+
+function walletAlerts(tx, signature, target) {
+  const decoded = decodeWalletTransaction(tx, target.address, signature);
+  if (!decoded) return [];
+
+  const name = target.label || target.address;
+  const alerts = [];
+
+  for (const trade of decoded.trades) {
+    const common = {
+      wallet: target.address,
+      walletLabel: target.label,
+      mint: trade.mint,
+      amountSol: trade.solAmount,
+      tokenAmount: trade.tokenAmount,
+      program: trade.program,
+      signature,
+      blockTime: decoded.blockTime
+    };
+
+    if (trade.side === 'buy') {
+      alerts.push(createAlert(target.isInsider ? 'insider-buy' : 'wallet-buy', {
+        ...common,
+        severity: target.isInsider ? 'critical' : 'info',
+        message: `${target.isInsider ? 'Watched insider' : 'Watched wallet'} ${name} bought ${trade.mint} for ${trade.solAmount.toFixed(4)} SOL`
+      }));
+    } else if (remainingTokens(tx, target.address, trade.mint) === 0) {
+      alerts.push(createAlert('position-exit', {
+        ...common,
+        severity: target.isInsider ? 'warning' : 'info',
+        message: `Watched wallet ${name} exited ${trade.mint} for ${trade.solAmount.toFixed(4)} SOL`
+      }));
+    }
+  }
+
+  return alerts;
+}
+
+// Everything the monitor watches: watchlist wallets plus registered funders
+async function monitorTargets(fundingRegistry, includeFunders) {
+  const watched = await listWatchlist();
+  const targets = watched.map(entry => ({
+    address: entry.address,
+    role: 'wallet',
+    label: entry.label,
+    isInsider: Boolean(entry.lastVerdict && entry.lastVerdict.isInsider)
+  }));
+
+  if (includeFunders) {
+    for (const source of fundingRegistry.list()) {
+      targets.push({ address: source.address, role: 'funder', label: source.label, isInsider: false });
+    }
+  }
+
+  return targets;
+}
+
+// Check one target for signatures newer than its cursor; returns its new alerts
+async function checkTarget(connection, fetcher, state, target, ruleset, failures) {
+  const cursor = state.cursors[target.address];
+  const publicKey = new PublicKey(target.address);
+
+  if (!cursor) {
+    const latest = await connection.getSignaturesForAddress(publicKey, { limit: 1 });
+    state.cursors[target.address] = {
+      address: target.address,
+      role: target.role,
+      label: target.label,
+      lastSignature: latest.length > 0 ? latest[0].signature : null,
+      lastCheckedAt: new Date().toISOString(),
+      skippedSignatures: 0
+    };
+    return [];
+  }
+
+  const signatures = await connection.getSignaturesForAddress(publicKey, {
+    limit: MAX_NEW_SIGNATURES,
+    until: cursor.lastSignature || undefined
+  });
+
+  cursor.role = target.role;
+  cursor.label = target.label;
+  cursor.lastCheckedAt = new Date().toISOString();
+  if (signatures.length === 0) return [];
+
+  // A full page means older new signatures were left behind
+  if (signatures.length === MAX_NEW_SIGNATURES) cursor.skippedSignatures++;
+
+  const fetched = await fetcher.fetchMany(signatures.filter(sig => !sig.err).map(sig => sig.signature));
+  const alerts = [];
+
+  // Oldest first, so alerts come out in chain order. The cursor only moves past
+  // what was read: from the first transaction that could not be fetched on,
+  // everything waits for the next tick.
+  let lastRead = null;
+  let complete = true;
+  for (const { signature, tx, error } of fetched.reverse()) {
+    if (error) {
+      failures.push(describeFailure({ address: target.address, stage: 'monitor', signature }, error));
+      complete = false;
+      break;
+    }
+    lastRead = signature;
+    if (!tx || !tx.meta) continue;
+
+    alerts.push(...(target.role === 'funder'
+      ? funderAlerts(tx, signature, target.address, target.label, ruleset)
+      : walletAlerts(tx, signature, target)));
+  }
+
+  if (complete) {
+    cursor.lastSignature = signatures[0].signature;
+  } else if (lastRead) {
+    cursor.lastSignature = lastRead;
+  }
+  return alerts;
+}
+
+// Run one monitor tick. Throws a `JOB_BUSY` ScanError while another tick runs.
+export async function runMonitorTick(connection, { fundingSources = [], ruleset = {}, includeFunders = true, budgetMs = 45000 } = {}) {
+  const startedAt = Date.now();
+  const deadline = startedAt + budgetMs - TICK_MARGIN_MS;
+
+  const state = await getMonitorState();
+  if (state.lockedUntil > startedAt) {
+    throw new ScanError('JOB_BUSY', 'A monitor tick is already running');
+  }
+
+  const alerts = [];
+  const failures = [];
+  let targets = [];
+  let checked = 0;
+
+  // Everything after taking the lock is inside the try, so any failure releases it
+  try {
+    state.lockedUntil = startedAt + LEASE_MS;
+    await writeRecord(COLLECTION, STATE_ID, state);
+
+    const fundingRegistry = createFundingRegistry(fundingSources);
+    const resolvedRuleset = resolveRuleset(ruleset);
+    const fetcher = createTransactionFetcher(connection);
+    targets = await monitorTargets(fundingRegistry, includeFunders);
+
+    // Least recently checked first, so targets skipped by a short budget go next time
+    const checkedAt = target => (state.cursors[target.address] ? state.cursors[target.address].lastCheckedAt : '');
+    targets.sort((a, b) => checkedAt(a).localeCompare(checkedAt(b)));
+
+    for (const target of targets) {
+      if (Date.now() >= deadline) break;
+      try {
+        alerts.push(...await checkTarget(connection, fetcher, state, target, resolvedRuleset, failures));
+        checked++;
+      } catch (error) {
+        console.warn(`Monitor check failed for ${target.address}:`, error.message);
+        failures.push(describeFailure({ address: target.address, stage: 'monitor' }, error));
+      }
+    }
+  } finally {
+    state.alerts = [...alerts.slice().reverse(), ...state.alerts].slice(0, MAX_STORED_ALERTS);
+    state.lockedUntil = 0;
+    state.lastTickAt = new Date().toISOString();
+    state.ticks++;
+    await writeRecord(COLLECTION, STATE_ID, state);
+  }
+
+  console.log(`Monitor tick finished in ${Date.now() - startedAt}ms:`, {
+    targets: targets.length,
+    checked,
+    alerts: alerts.length,
+    failures: failures.length
+  });
+
+  return { state, alerts, failures, checked, targets: targets.length };
+}
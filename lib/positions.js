@@ -0,0 +1,149 @@
+// Position tracking over decoded swaps.
+//
+// Trades are matched per mint in FIFO order: every sell consumes the oldest
+// open buy lots first, producing one round trip (entry/exit pair) per lot slice
+// with its hold time and realized PnL in SOL.
+
+const EPSILON = 1e-12;
+
+function sortByTime(trades) {
+  return [...trades].sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0));
+}
+
+// FIFO-match trades per mint; returns round trips plus what is still open
+function matchFifo(trades) {
+  const lotsByMint = new Map();
+  const unmatchedByMint = new Map();
+  const roundTrips = [];
+
+  for (const trade of sortByTime(trades)) {
+    const lots = lotsByMint.get(trade.mint) || [];
+    lotsByMint.set(trade.mint, lots);
+
+    if (trade.side === 'buy') {
+      lots.push({
+        tokenAmount: trade.tokenAmount,
+        costSol: trade.solAmount,
+        blockTime: trade.blockTime,
+        signature: trade.signature
+      });
+      continue;
+    }
+
+    // Sell: consume open lots oldest first
+    let remaining = trade.tokenAmount;
+    while (remaining > EPSILON && lots.length > 0) {
+      const lot = lots[0];
+      const quantity = Math.min(lot.tokenAmount, remaining);
+      const costSol = lot.costSol * (quantity / lot.tokenAmount);
+      const proceedsSol = trade.solAmount * (quantity / trade.tokenAmount);
+
+      roundTrips.push({
+        mint: trade.mint,
+        entrySignature: lot.signature,
+        exitSignature: trade.signature,
+        entryTime: lot.blockTime,
+        exitTime: trade.blockTime,
+        holdSeconds: lot.blockTime && trade.blockTime ? trade.blockTime - lot.blockTime : null,
+        tokenAmount: quantity,
+        costSol,
+        proceedsSol,
+        pnlSol: proceedsSol - costSol,
+        multiple: costSol > 0 ? proceedsSol / costSol : null
+      });
+
+      lot.tokenAmount -= quantity;
+      lot.costSol -= costSol;
+      remaining -= quantity;
+      if (lot.tokenAmount <= EPSILON) lots.shift();
+    }
+
+    // Tokens sold that were bought before the analyzed window
+    if (remaining > EPSILON) {
+      unmatchedByMint.set(trade.mint, (unmatchedByMint.get(trade.mint) || 0) + remaining);
+    }
+  }
+
+  return { roundTrips, lotsByMint, unmatchedByMint };
+}
+
+export function buildRoundTrips(trades) {
+  const { roundTrips, unmatchedByMint } = matchFifo(trades);
+  return { roundTrips, unmatchedSells: unmatchedByMint.size };
+}
+
+// Per-mint ledger with FIFO cost basis, realized/unrealized PnL, peak multiple
+// and hold duration. `holdings` maps mint -> on-chain token balance (with
+// `holdingsComplete`, a missing mint means a zero balance); open positions are
+// marked at the wallet's last traded price for that mint.
+export function buildPositionLedger(trades, { holdings = {}, holdingsComplete = false, now = Math.floor(Date.now() / 1000) } = {}) {
+  const { roundTrips, lotsByMint, unmatchedByMint } = matchFifo(trades);
+  const ledger = [];
+
+  for (const [mint, lots] of lotsByMint.entries()) {
+    const mintTrades = sortByTime(trades.filter(trade => trade.mint === mint));
+    const legs = mintTrades.map(trade => ({
+      signature: trade.signature,
+      blockTime: trade.blockTime,
+      tokenAmount: trade.tokenAmount,
+      solAmount: trade.solAmount,
+      priceSol: trade.priceSol,
+      program: trade.program,
+      launchContext: trade.launchContext || null,
+      launchContextUnavailable: trade.launchContextUnavailable || null
+    }));
+    const buys = legs.filter((leg, i) => mintTrades[i].side === 'buy');
+    const sells = legs.filter((leg, i) => mintTrades[i].side === 'sell');
+    const mintTrips = roundTrips.filter(trip => trip.mint === mint);
+
+    const openTokenAmount = lots.reduce((sum, lot) => sum + lot.tokenAmount, 0);
+    const costBasisSol = lots.reduce((sum, lot) => sum + lot.costSol, 0);
+    const realizedPnlSol = mintTrips.reduce((sum, trip) => sum + trip.pnlSol, 0);
+
+    const lastTrade = mintTrades[mintTrades.length - 1];
+    const markPriceSol = lastTrade ? lastTrade.priceSol : null;
+
+    // Value only what the wallet still holds on-chain (it may have transferred tokens out)
+    const onChainBalance = holdings[mint] !== undefined ? holdings[mint] : (holdingsComplete ? 0 : null);
+    const heldTokenAmount = onChainBalance !== null ? Math.min(onChainBalance, openTokenAmount) : openTokenAmount;
+    const heldCostSol = openTokenAmount > EPSILON ? costBasisSol * (heldTokenAmount / openTokenAmount) : 0;
+    const unrealizedPnlSol = markPriceSol !== null && heldTokenAmount > EPSILON
+      ? heldTokenAmount * markPriceSol - heldCostSol
+      : 0;
+
+    const multiples = mintTrips.map(trip => trip.multiple).filter(multiple => multiple !== null);
+    if (heldTokenAmount > EPSILON && heldCostSol > 0 && markPriceSol !== null) {
+      multiples.push((heldTokenAmount * markPriceSol) / heldCostSol);
+    }
+
+    const firstBuyAt = buys.length > 0 ? buys[0].blockTime : null;
+    const isOpen = openTokenAmount > EPSILON;
+    const endTime = isOpen ? now : (sells.length > 0 ? sells[sells.length - 1].blockTime : null);
+
+    ledger.push({
+      mint,
+      status: isOpen ? 'open' : 'closed',
+      firstBuyAt,
+      lastTradeAt: lastTrade ? lastTrade.blockTime : null,
+      buys,
+      sells,
+      tokensBought: buys.reduce((sum, leg) => sum + leg.tokenAmount, 0),
+      tokensSold: sells.reduce((sum, leg) => sum + leg.tokenAmount, 0),
+      unmatchedTokensSold: unmatchedByMint.get(mint) || 0,
+      openTokenAmount,
+      onChainBalance,
+      costBasisSol,
+      averageEntryPriceSol: openTokenAmount > EPSILON ? costBasisSol / openTokenAmount : null,
+      realizedPnlSol,
+      unrealizedPnlSol,
+      markPriceSol,
+      markSource: 'last-trade',
+      peakMultiple: multiples.length > 0 ? Math.max(...multiples) : null,
+      holdSeconds: firstBuyAt && endTime ? endTime - firstBuyAt : null,
+      roundTrips: mintTrips.length
+    });
+  }
+
+  // Most recently active positions first
+  return ledger.sort((a, b) => (b.lastTradeAt || 0) - (a.lastTradeAt || 0));
+}
@@ -0,0 +1,195 @@
+import { readRecord, writeRecord } from './store.js';
+
+// Cache under the RPC calls the scanner makes.
+//
+// Confirmed transactions never change, so they are cached forever (until the
+// LRU evicts them). Signature lists are cached by address and cursor: the head
+// of a history (no `before`) changes with every new transaction and only lives
+// a few seconds, while pages behind a `before` cursor are stable.
+//
+// The in-memory LRU is shared by every request a warm instance serves. With
+// RPC_CACHE_BACKEND=file (or `{ file: true }`) entries are also written through
+// to the JSON store so they survive cold starts on a long-running server.
+
+const COLLECTION = 'rpc-cache';
+
+const MEMORY_MAX_ENTRIES = 5000;
+
+const SIGNATURE_HEAD_TTL_MS = 15000;
+const SIGNATURE_PAGE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function createLruCache({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so the Map's insertion order doubles as recency order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlMs = null) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+}
+
+function createFileBackend() {
+  return {
+    async get(key) {
+      const record = await readRecord(COLLECTION, key);
+      if (!record) return undefined;
+      if (record.expiresAt && record.expiresAt <= Date.now()) return undefined;
+      return record.value;
+    },
+
+    async set(key, value, ttlMs = null) {
+      await writeRecord(COLLECTION, key, { key, expiresAt: ttlMs ? Date.now() + ttlMs : null, value });
+    }
+  };
+}
+
+const sharedMemory = createLruCache();
+
+// Totals across every cached connection this instance created, for /api/health
+const instanceStats = { startedAt: new Date().toISOString(), hits: 0, misses: 0, writes: 0, fileErrors: 0 };
+
+function signaturePageKey(address, { limit = 1000, before, until } = {}) {
+  return `sigs-${address}-${limit}-${before || 'head'}-${until || 'none'}`;
+}
+
+// Wrap a Connection (or RPC pool) so the cacheable calls go through the cache.
+// Everything else, including `report()`, falls through to the wrapped object.
+export function createCachedConnection(connection, options = {}) {
+  const {
+    memory = sharedMemory,
+    file = process.env.RPC_CACHE_BACKEND === 'file'
+  } = options;
+
+  const fileBackend = file ? createFileBackend() : null;
+  const stats = { hits: 0, misses: 0, memoryHits: 0, fileHits: 0, writes: 0, fileErrors: 0 };
+
+  async function lookup(key) {
+    const cached = memory.get(key);
+    if (cached !== undefined) {
+      stats.hits++;
+      stats.memoryHits++;
+      instanceStats.hits++;
+      return cached;
+    }
+
+    if (fileBackend) {
+      try {
+        const stored = await fileBackend.get(key);
+        if (stored !== undefined) {
+          stats.hits++;
+          stats.fileHits++;
+          instanceStats.hits++;
+          memory.set(key, stored);
+          return stored;
+        }
+      } catch (error) {
+        stats.fileErrors++;
+        instanceStats.fileErrors++;
+        console.warn(`RPC cache read failed for ${key}:`, error.message);
+      }
+    }
+
+    stats.misses++;
+    instanceStats.misses++;
+    return undefined;
+  }
+
+  async function store(key, value, ttlMs = null) {
+    memory.set(key, value, ttlMs);
+    stats.writes++;
+    instanceStats.writes++;
+    if (!fileBackend) return;
+
+    try {
+      await fileBackend.set(key, value, ttlMs);
+    } catch (error) {
+      stats.fileErrors++;
+      instanceStats.fileErrors++;
+      console.warn(`RPC cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  // Transactions: only non-null results are cached, a missing one may still land
+  function cachedTransaction(method, prefix) {
+    return async (signature, config) => {
+      const key = `${prefix}-${signature}`;
+      const cached = await lookup(key);
+      if (cached !== undefined) return cached;
+
+      const tx = await connection[method](signature, config);
+      if (tx) await store(key, tx);
+      return tx;
+    };
+  }
+
+  const cachedConnection = Object.create(connection);
+
+  cachedConnection.getTransaction = cachedTransaction('getTransaction', 'tx-raw');
+  cachedConnection.getParsedTransaction = cachedTransaction('getParsedTransaction', 'tx-parsed');
+
+  // Batched lookups only send the signatures that are not cached yet
+  cachedConnection.getParsedTransactions = async (signatures, config) => {
+    const results = await Promise.all(signatures.map(signature => lookup(`tx-parsed-${signature}`)));
+    const missing = Array.from(new Set(signatures.filter((signature, i) => results[i] === undefined)));
+    if (missing.length === 0) return results;
+
+    const fetched = await connection.getParsedTransactions(missing, config);
+    const fetchedBySignature = new Map();
+    await Promise.all(missing.map(async (signature, i) => {
+      const tx = fetched[i] || null;
+      fetchedBySignature.set(signature, tx);
+      if (tx) await store(`tx-parsed-${signature}`, tx);
+    }));
+
+    return signatures.map((signature, i) => (results[i] !== undefined ? results[i] : fetchedBySignature.get(signature)));
+  };
+
+  cachedConnection.getSignaturesForAddress = async (address, signatureOptions = {}, commitment) => {
+    const key = signaturePageKey(address.toString(), signatureOptions);
+    const cached = await lookup(key);
+    if (cached !== undefined) return cached;
+
+    const page = await connection.getSignaturesForAddress(address, signatureOptions, commitment);
+    await store(key, page, signatureOptions.before ? SIGNATURE_PAGE_TTL_MS : SIGNATURE_HEAD_TTL_MS);
+    return page;
+  };
+
+  cachedConnection.cacheStats = () => ({
+    ...stats,
+    backend: fileBackend ? 'memory+file' : 'memory',
+    memoryEntries: memory.size
+  });
+
+  return cachedConnection;
+}
+
+// Shared cache state of this instance: backend, LRU fill and hit totals since it started
+export function instanceCacheStats() {
+  return {
+    ...instanceStats,
+    backend: process.env.RPC_CACHE_BACKEND === 'file' ? 'memory+file' : 'memory',
+    memoryEntries: sharedMemory.size,
+    memoryMaxEntries: MEMORY_MAX_ENTRIES
+  };
+}
@@ -0,0 +1,141 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ScanError } from './errors.js';
+
+// Record/replay of JSON-RPC traffic.
+//
+// In record mode every JSON-RPC call the scanner makes (including each call
+// inside a batch request) is sent to the real endpoint and its result saved to
+// a fixture file. In replay mode the same calls are answered from that file and
+// nothing touches the network, so a scan recorded once against mainnet can be
+// re-run offline and its output diffed:
+//
+//   dca-tracker scan --wallet <address> --json --record fixtures/wallet.json > expected.json
+//   dca-tracker scan --wallet <address> --json --replay fixtures/wallet.json | diff expected.json -
+//
+// The mode comes from RPC_FIXTURE_MODE (record | replay) and RPC_FIXTURE_FILE,
+// so the local server and the API functions can run against fixtures as well.
+// Calls are keyed by method and params; the endpoint is never stored because
+// its URL may carry an API key. A call missing from the fixture fails with
+// FIXTURE_MISSING instead of falling through to the network.
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+const FIXTURE_VERSION = 1;
+
+// file -> Promise<{ fixture, writing, dirty }>; one copy per process however many pools use it
+const fixtures = new Map();
+
+function callKey(method, params) {
+  return `${method}:${JSON.stringify(params === undefined ? [] : params)}`;
+}
+
+async function readFixture(file, mode) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (mode === 'replay') {
+      throw new ScanError('FIXTURE_MISSING', `Cannot read RPC fixture ${file}: ${error.message}`);
+    }
+    return { version: FIXTURE_VERSION, recordedAt: new Date().toISOString(), calls: {} };
+  }
+}
+
+function loadFixture(file, mode) {
+  if (!fixtures.has(file)) {
+    const loading = readFixture(file, mode).then(fixture => ({ fixture, writing: null, dirty: false }));
+    // A failed load is retried on the next call
+    loading.catch(() => fixtures.delete(file));
+    fixtures.set(file, loading);
+  }
+  return fixtures.get(file);
+}
+
+// Writes are coalesced: at most one in flight, and one more if calls arrived meanwhile
+function scheduleWrite(file, state) {
+  state.dirty = true;
+  if (state.writing) return;
+
+  state.writing = (async () => {
+    while (state.dirty) {
+      state.dirty = false;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(state.fixture, null, 2));
+    }
+  })()
+    .catch(error => console.warn(`Could not write RPC fixture ${file}:`, error.message))
+    .finally(() => {
+      state.writing = null;
+      if (state.dirty) scheduleWrite(file, state);
+    });
+}
+
+function jsonResponse(payload) {
+  return new Response(JSON.stringify(payload), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+// A fetch for web3.js Connections that records to or replays from `file`.
+// `baseFetch` is only used when recording.
+export function createFixtureFetch({ mode, file, fetch: baseFetch = globalThis.fetch }) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new ScanError('INVALID_REQUEST', `RPC fixture mode must be one of: ${FIXTURE_MODES.join(', ')}`);
+  }
+  if (!file) {
+    throw new ScanError('INVALID_REQUEST', 'RPC fixture mode needs a fixture file (RPC_FIXTURE_FILE)');
+  }
+
+  return async function fixtureFetch(input, init = {}) {
+    const state = await loadFixture(file, mode);
+    const body = JSON.parse(init.body);
+    const requests = Array.isArray(body) ? body : [body];
+
+    if (mode === 'replay') {
+      const responses = requests.map(request => {
+        const recorded = state.fixture.calls[callKey(request.method, request.params)];
+        if (!recorded) {
+          throw new ScanError('FIXTURE_MISSING', `RPC fixture has no recorded response for ${request.method} ${JSON.stringify(request.params || [])}`);
+        }
+        return { jsonrpc: '2.0', id: request.id, ...recorded.response };
+      });
+      return jsonResponse(Array.isArray(body) ? responses : responses[0]);
+    }
+
+    const response = await baseFetch(input, init);
+    const text = await response.text();
+
+    // Only successful JSON-RPC answers are worth replaying; errors pass through unrecorded
+    if (response.ok) {
+      try {
+        const parsed = JSON.parse(text);
+        const answers = Array.isArray(parsed) ? parsed : [parsed];
+        for (const request of requests) {
+          const answer = answers.find(entry => entry.id === request.id);
+          const key = callKey(request.method, request.params);
+          // The first answer is the one the scan acted on
+          if (!answer || answer.error || state.fixture.calls[key]) continue;
+          state.fixture.calls[key] = { method: request.method, params: request.params, response: { result: answer.result } };
+        }
+        scheduleWrite(file, state);
+      } catch (error) {
+        console.warn('Could not record RPC response:', error.message);
+      }
+    }
+
+    return new Response(text, { status: response.status, statusText: response.statusText, headers: response.headers });
+  };
+}
+
+// Fixture fetch configured by RPC_FIXTURE_MODE / RPC_FIXTURE_FILE, or null when unset
+export function fixtureFetchFromEnv(baseFetch = globalThis.fetch) {
+  const mode = process.env.RPC_FIXTURE_MODE;
+  if (!mode) return null;
+  return createFixtureFetch({ mode, file: process.env.RPC_FIXTURE_FILE, fetch: baseFetch });
+}
+
+// Wait for pending fixture writes; call before the process exits
+export async function flushRpcFixtures() {
+  for (const loading of fixtures.values()) {
+    const state = await loading.catch(() => null);
+    while (state && state.writing) await state.writing;
+  }
+}
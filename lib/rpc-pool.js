@@ -0,0 +1,213 @@
+import { Connection } from '@solana/web3.js';
+import { classifyError } from './errors.js';
+import { fixtureFetchFromEnv } from './rpc-fixtures.js';
+
+// RPC provider pool.
+//
+// Wraps one web3.js Connection per endpoint behind the same method names, so
+// scanner code can use the pool wherever it used a Connection. Every call goes
+// to the healthiest endpoint (error rate and latency, skipping endpoints in a
+// rate-limit cooldown), times out in one place, backs off on 429s with
+// jittered exponential delays and fails over to the next endpoint on RPC errors.
+
+export const DEFAULT_RPC_ENDPOINT = 'https://api.mainnet-beta.solana.com';
+
+// Connection methods the pool forwards
+const METHODS = [
+  'getAccountInfo',
+  'getBalance',
+  'getSlot',
+  'getSignaturesForAddress',
+  'getTransaction',
+  'getParsedTransaction',
+  'getParsedTransactions',
+  'getParsedAccountInfo',
+  'getParsedTokenAccountsByOwner',
+  'getTokenSupply',
+  'getTokenLargestAccounts'
+];
+
+// Errors worth retrying on another endpoint; anything else is the caller's fault
+const RETRYABLE_CODES = ['RPC_RATE_LIMITED', 'RPC_TIMEOUT', 'RPC_ERROR'];
+
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 8000;
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+// Rate limits seen by any pool in this instance, by redacted endpoint, for /api/health
+const rateLimitHistory = new Map();
+
+// Endpoint URLs often carry API keys; never echo those back to clients
+export function redactEndpoint(url) {
+  try {
+    const parsed = new URL(url);
+    for (const key of parsed.searchParams.keys()) parsed.searchParams.set(key, '***');
+    return parsed.toString();
+  } catch (error) {
+    return 'invalid-endpoint';
+  }
+}
+
+// Endpoints for a request: explicit list, single endpoint, RPC_ENDPOINTS env, then the public default
+export function resolveRpcEndpoints({ rpcEndpoint, rpcEndpoints } = {}) {
+  const endpoints = [
+    ...(Array.isArray(rpcEndpoints) ? rpcEndpoints : []),
+    ...(rpcEndpoint ? [rpcEndpoint] : []),
+    ...String(process.env.RPC_ENDPOINTS || '').split(',')
+  ]
+    .map(endpoint => String(endpoint || '').trim())
+    .filter(endpoint => /^https?:\/\//.test(endpoint));
+
+  const unique = Array.from(new Set(endpoints));
+  return unique.length > 0 ? unique : [DEFAULT_RPC_ENDPOINT];
+}
+
+// Every endpoint rate limited since this instance started, with its latest cooldown
+export function rateLimitSnapshot() {
+  const now = Date.now();
+  return Array.from(rateLimitHistory.values()).map(history => ({
+    ...history,
+    coolingDown: Date.parse(history.cooldownUntil) > now
+  }));
+}
+
+function jitteredBackoff(attempt) {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt), BACKOFF_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function createRpcPool(endpoints, options = {}) {
+  const {
+    commitment = 'confirmed',
+    timeoutMs = 8000,
+    maxAttempts = Math.max(3, endpoints.length + 2),
+    // RPC_FIXTURE_MODE swaps the network for recorded fixtures (see rpc-fixtures.js)
+    fetch: baseFetch = fixtureFetchFromEnv() || globalThis.fetch
+  } = options;
+
+  // One place for per-call timeouts: every HTTP request aborts after timeoutMs
+  const timedFetch = (input, init = {}) => baseFetch(input, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+
+  const members = endpoints.map(url => ({
+    url,
+    label: redactEndpoint(url),
+    connection: new Connection(url, { commitment, fetch: timedFetch, disableRetryOnRateLimit: true }),
+    requests: 0,
+    successes: 0,
+    errors: 0,
+    rateLimited: 0,
+    timeouts: 0,
+    avgLatencyMs: null,
+    cooldownUntil: 0,
+    rateLimitStreak: 0,
+    lastError: null,
+    servedByMethod: {}
+  }));
+
+  // Higher is better: success ratio over smoothed latency
+  function healthScore(member) {
+    const successRate = member.requests > 0 ? member.successes / member.requests : 1;
+    const latency = member.avgLatencyMs === null ? 500 : member.avgLatencyMs;
+    return successRate * 1000 / (latency + 50);
+  }
+
+  function rankedMembers(exclude) {
+    const now = Date.now();
+    return members
+      .filter(member => !exclude.has(member))
+      .sort((a, b) => {
+        const aCooling = a.cooldownUntil > now;
+        const bCooling = b.cooldownUntil > now;
+        if (aCooling !== bCooling) return aCooling ? 1 : -1;
+        return healthScore(b) - healthScore(a);
+      });
+  }
+
+  async function call(method, args) {
+    const tried = new Set();
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      // Once every endpoint was tried, start over with the best one
+      if (tried.size === members.length) tried.clear();
+      const member = rankedMembers(tried)[0];
+      tried.add(member);
+
+      const waitMs = member.cooldownUntil - Date.now();
+      if (waitMs > 0) await sleep(waitMs);
+
+      const startedAt = Date.now();
+      member.requests++;
+
+      try {
+        const result = await member.connection[method](...args);
+        const latency = Date.now() - startedAt;
+        member.successes++;
+        member.rateLimitStreak = 0;
+        member.avgLatencyMs = member.avgLatencyMs === null
+          ? latency
+          : Math.round(member.avgLatencyMs * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING);
+        member.servedByMethod[method] = (member.servedByMethod[method] || 0) + 1;
+        pool.lastServedBy = member.label;
+        return result;
+      } catch (error) {
+        const scanError = classifyError(error);
+        member.errors++;
+        member.lastError = { code: scanError.code, message: scanError.message, at: new Date().toISOString() };
+
+        if (scanError.code === 'RPC_RATE_LIMITED') {
+          member.rateLimited++;
+          member.cooldownUntil = Date.now() + jitteredBackoff(member.rateLimitStreak++);
+          const history = rateLimitHistory.get(member.label) || { endpoint: member.label, count: 0 };
+          history.count++;
+          history.lastAt = new Date().toISOString();
+          history.cooldownUntil = new Date(member.cooldownUntil).toISOString();
+          rateLimitHistory.set(member.label, history);
+        } else if (scanError.code === 'RPC_TIMEOUT') {
+          member.timeouts++;
+        }
+
+        console.warn(`RPC ${method} failed on ${member.label} (attempt ${attempt + 1}/${maxAttempts}): ${scanError.code} ${scanError.message}`);
+        lastError = scanError;
+
+        if (!RETRYABLE_CODES.includes(scanError.code)) throw scanError;
+      }
+    }
+
+    throw lastError;
+  }
+
+  const pool = {
+    endpoints: members.map(member => member.label),
+    lastServedBy: null,
+
+    // Per-endpoint health and which endpoint served which calls, for responses
+    report() {
+      return members.map(member => ({
+        endpoint: member.label,
+        requests: member.requests,
+        successes: member.successes,
+        errors: member.errors,
+        rateLimited: member.rateLimited,
+        timeouts: member.timeouts,
+        avgLatencyMs: member.avgLatencyMs,
+        score: Number(healthScore(member).toFixed(3)),
+        coolingDown: member.cooldownUntil > Date.now(),
+        lastError: member.lastError,
+        served: member.servedByMethod
+      }));
+    }
+  };
+
+  for (const method of METHODS) {
+    pool[method] = (...args) => call(method, args);
+  }
+
+  return pool;
+}
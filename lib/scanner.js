@@ -0,0 +1,809 @@
+import { PublicKey } from '@solana/web3.js';
+import { createFundingRegistry } from './funding-sources.js';
+import { resolveRuleset, evaluateRules, ruleMeasurement } from './insider-rules.js';
+import { decodeWalletTransaction, getAccountKeys, getSolBalanceChanges } from './swap-decoder.js';
+import { findWalletGenesis } from './wallet-genesis.js';
+import { buildRoundTrips, buildPositionLedger } from './positions.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { applyClusterMembership, computeInsiderScore } from './insider-score.js';
+import { tagTokenEntries } from './token-context.js';
+import { buildFundingGraph, detectClusters } from './funding-graph.js';
+import { ScanError, describeFailure } from './errors.js';
+
+// Wallet scanning and insider analysis shared by the scan and discovery endpoints.
+// Every function takes `scanOptions` ({ fundingRegistry, ruleset, emit, failures,
+// transactionFetcher }) last.
+// `emit(event, data)`, when given, receives `discovered`, `analyzed`, `insider`
+// and `progress` events as the scan goes (used for streaming responses).
+// `failures`, when given, collects one entry per wallet or transaction that
+// could not be processed instead of only logging it.
+// `transactionFetcher`, when given, is shared across the whole scan so a
+// transaction seen in discovery is not fetched again during analysis.
+// `signal`, when given, stops an analysis at its next RPC step once aborted
+// (see runWithTimeout); `deadline` is the time it runs out, so optional
+// lookups such as token launches can be skipped before it.
+// `discovery`, for a wallet found by discovery, is that entry ({ fundingSource,
+// fundingAmount, preBalance, fundedAt, discoveredFrom }); its transfer is the
+// funding the rules see when neither the window nor genesis shows one.
+
+// Transactions decoded per wallet analysis (batched, so this costs 2 RPC requests)
+export const MAX_ANALYSIS_TRANSACTIONS = 50;
+
+// Most recently bought mints whose launch is looked up per wallet, and how far
+// back (a scan analyzes many wallets, so this stays small)
+const LAUNCH_CONTEXT_MINTS = 3;
+const LAUNCH_CONTEXT_OPTIONS = { maxPages: 2, window: 50 };
+
+// Funder signatures read by one-shot discovery, and how many are fetched per round
+const DISCOVERY_SIGNATURE_LIMIT = 500;
+const DISCOVERY_CHUNK_SIZE = 50;
+
+function transactionFetcher(connection, scanOptions) {
+  if (!scanOptions.transactionFetcher) {
+    scanOptions.transactionFetcher = createTransactionFetcher(connection);
+  }
+  return scanOptions.transactionFetcher;
+}
+
+function emit(scanOptions, event, data) {
+  if (!scanOptions || typeof scanOptions.emit !== 'function') return;
+  try {
+    scanOptions.emit(event, data);
+  } catch (error) {
+    console.warn(`Failed to emit ${event} event:`, error.message);
+  }
+}
+
+// Run `task(signal, deadline)` for at most `timeoutMs`. When time runs out
+// (at `deadline`) this rejects with BUDGET_EXHAUSTED and aborts `signal`, so
+// the task stops at its next RPC step instead of spending quota in the
+// background. Aborting `parentSignal` aborts the task too; the timer is
+// cleared either way.
+export async function runWithTimeout(timeoutMs, message, task, parentSignal = null) {
+  const controller = new AbortController();
+  const abortFromParent = () => controller.abort();
+  if (parentSignal) {
+    if (parentSignal.aborted) controller.abort();
+    else parentSignal.addEventListener('abort', abortFromParent, { once: true });
+  }
+
+  let timer;
+  try {
+    return await Promise.race([
+      task(controller.signal, Date.now() + Math.max(timeoutMs, 0)),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ScanError('BUDGET_EXHAUSTED', message)), Math.max(timeoutMs, 0));
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+    if (parentSignal) parentSignal.removeEventListener('abort', abortFromParent);
+  }
+}
+
+function throwIfAborted(scanOptions) {
+  if (scanOptions && scanOptions.signal && scanOptions.signal.aborted) {
+    throw new ScanError('BUDGET_EXHAUSTED', 'Analysis stopped: its time budget ran out');
+  }
+}
+
+function recordFailure(scanOptions, target, error) {
+  if (!scanOptions || !Array.isArray(scanOptions.failures)) return;
+  scanOptions.failures.push(describeFailure(target, error));
+}
+
+// Report one finished wallet analysis to the event listener
+function emitAnalysis(scanOptions, walletData) {
+  emit(scanOptions, 'analyzed', walletData);
+  if (walletData.isInsider) {
+    emit(scanOptions, 'insider', {
+      address: walletData.address,
+      insiderReason: walletData.insiderReason,
+      fundingSource: walletData.fundingSource,
+      fundingSourceLabel: walletData.fundingSourceLabel
+    });
+  }
+}
+
+// Scan recent transactions for insider wallets
+export async function scanRecentTransactions(connection, depth, scanOptions) {
+  const { fundingRegistry } = scanOptions;
+  const results = [];
+  
+  try {
+    console.log(`ULTRA-FAST: Scanning recent transactions with depth: ${depth}`);
+    
+    // ULTRA-AGGRESSIVE APPROACH: Minimal scanning for instant results
+    
+    // ULTRA-AGGRESSIVE: Only scan first registered funding wallet and only 3 transactions
+    const fundingWallet = fundingRegistry.addresses()[0];
+    if (!fundingWallet) {
+      console.log('ULTRA-FAST: No funding sources registered - nothing to scan');
+      return results;
+    }
+    console.log(`ULTRA-FAST: Scanning funding wallet: ${fundingRegistry.labelFor(fundingWallet)} (${fundingWallet})`);
+    
+    try {
+      // ULTRA-AGGRESSIVE: Get only 5 most recent transactions
+      const signatures = await connection.getSignaturesForAddress(
+        new PublicKey(fundingWallet),
+        { limit: 5 } // ULTRA-AGGRESSIVE: Only 5 transactions
+      );
+      
+      console.log(`ULTRA-FAST: Found ${signatures.length} signatures, analyzing first 3 only`);
+      
+      // ULTRA-AGGRESSIVE: Analyze only first 3 transactions for instant results
+      const fetched = await transactionFetcher(connection, scanOptions).fetchMany(
+        signatures.slice(0, 3).map(sig => sig.signature)
+      );
+      
+      for (let i = 0; i < fetched.length; i++) {
+        if (scanOptions.signal && scanOptions.signal.aborted) break;
+        try {
+          const { tx, error: fetchError } = fetched[i];
+          if (fetchError) throw fetchError;
+
+          if (tx && tx.meta && tx.meta.preBalances && tx.meta.postBalances) {
+            // Find wallets that received SOL from this funding wallet
+            const fundedWallets = findFundedWallets(tx, fundingWallet, scanOptions.ruleset);
+            
+            for (const fundedWallet of fundedWallets) {
+              // Skip if we already have this wallet
+              if (results.some(r => r.address === fundedWallet.address)) continue;
+              
+              // ULTRA-AGGRESSIVE: Minimal analysis with only 10 transactions
+              const walletData = await analyzeWalletForInsiderPatterns(connection, fundedWallet.address, depth, scanOptions);
+              
+              if (walletData) {
+                results.push(walletData);
+                emitAnalysis(scanOptions, walletData);
+                
+                // ULTRA-AGGRESSIVE: Stop at 5 results for instant response
+                if (results.length >= 5) break; // ULTRA-AGGRESSIVE: Only 5 results
+              }
+            }
+            
+            if (results.length >= 5) break; // ULTRA-AGGRESSIVE: Only 5 results
+          }
+
+          // ULTRA-AGGRESSIVE: No rate limiting delay for instant results
+          // await new Promise(resolve => setTimeout(resolve, 100)); // REMOVED
+          
+        } catch (txError) {
+          console.warn('Transaction analysis failed:', txError.message);
+          recordFailure(scanOptions, { address: fundingWallet, stage: 'discovery', signature: signatures[i].signature }, txError);
+          continue;
+        }
+      }
+      
+    } catch (fundingWalletError) {
+      console.warn('Funding wallet scan failed:', fundingWalletError.message);
+      recordFailure(scanOptions, { address: fundingWallet, stage: 'discovery' }, fundingWalletError);
+    }
+
+    console.log(`ULTRA-FAST scan completed, found ${results.length} wallets`);
+    return results;
+    
+  } catch (error) {
+    console.error('Recent transactions scan failed:', error);
+    throw error;
+  }
+}
+
+// Helper function to find wallets that received SOL from a funding wallet.
+// The amount range comes from the ruleset's fundingAmount rule.
+export function findFundedWallets(transaction, fundingWallet, ruleset = resolveRuleset()) {
+  const fundedWallets = [];
+  const { minSol, maxSol } = ruleset.rules.fundingAmount.params;
+  
+  try {
+    if (transaction && transaction.meta && transaction.transaction) {
+      const changes = getSolBalanceChanges(transaction, getAccountKeys(transaction));
+      const funder = changes.find(entry => entry.address === fundingWallet);
+      
+      // Check if funding wallet sent SOL (negative balance change)
+      if (funder && funder.change < 0) {
+        // Find wallets that received SOL (positive balance change)
+        for (const entry of changes) {
+          if (entry.address === fundingWallet || entry.change <= 0) continue;
+          
+          const solAmount = entry.change / 1e9;
+          if (solAmount >= minSol && solAmount <= maxSol) {
+            fundedWallets.push({
+              address: entry.address,
+              amount: solAmount,
+              preBalance: entry.preBalance
+            });
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('Error finding funded wallets:', error.message);
+  }
+  
+  return fundedWallets;
+}
+
+// Scan specific wallet
+export async function scanSpecificWallet(connection, walletAddress, depth, scanOptions) {
+  try {
+    const walletData = await analyzeWalletForInsiderPatterns(connection, walletAddress, depth, scanOptions);
+    if (walletData) emitAnalysis(scanOptions, walletData);
+    return walletData ? [walletData] : [];
+  } catch (error) {
+    console.error('Specific wallet scan failed:', error);
+    throw error;
+  }
+}
+
+// Scan batch wallets
+export async function scanBatchWallets(connection, wallets, depth, scanOptions) {
+  const results = [];
+  
+  for (let i = 0; i < wallets.length; i++) {
+    if (scanOptions.signal && scanOptions.signal.aborted) break;
+    const wallet = wallets[i];
+    try {
+      const walletData = await analyzeWalletForInsiderPatterns(connection, wallet, depth, scanOptions);
+      if (walletData) {
+        results.push(walletData);
+        emitAnalysis(scanOptions, walletData);
+      }
+      emit(scanOptions, 'progress', { phase: 'analysis', processed: i + 1, total: wallets.length });
+      // No pause between wallets: the RPC pool backs off on 429s by itself
+      
+    } catch (error) {
+      console.warn('Batch wallet analysis failed:', wallet, error.message);
+      recordFailure(scanOptions, { address: wallet, stage: 'analysis' }, error);
+      continue;
+    }
+  }
+
+  return results;
+}
+
+// Analyze wallet for insider patterns
+export async function analyzeWalletForInsiderPatterns(connection, walletAddress, depth = 100, scanOptions = {}) {
+  try {
+    const publicKey = new PublicKey(walletAddress);
+    
+    const accountInfo = await connection.getAccountInfo(publicKey);
+    throwIfAborted(scanOptions);
+    
+    if (!accountInfo) {
+      recordFailure(scanOptions, { address: walletAddress, stage: 'analysis' }, new ScanError('NOT_FOUND', 'Account does not exist on chain'));
+      return null;
+    }
+
+    const limitedDepth = Math.min(depth, MAX_ANALYSIS_TRANSACTIONS);
+    const signatures = await connection.getSignaturesForAddress(publicKey, { limit: limitedDepth });
+    throwIfAborted(scanOptions);
+    
+    // Wallet genesis: page back to the oldest signature to verify the first funding
+    let genesis = null;
+    try {
+      genesis = await findWalletGenesis(connection, walletAddress, {
+        fundingRegistry: scanOptions.fundingRegistry,
+        transactionFetcher: transactionFetcher(connection, scanOptions),
+        initialSignatures: signatures,
+        initialLimit: limitedDepth
+      });
+      console.log(`Wallet ${walletAddress} genesis:`, {
+        complete: genesis.complete,
+        firstSeenAt: genesis.firstSeenAt,
+        firstFunder: genesis.firstFunderLabel || genesis.firstFunder,
+        firstTransactionIsFunding: genesis.firstTransactionIsFunding
+      });
+    } catch (genesisError) {
+      console.warn('Wallet genesis lookup failed:', walletAddress, genesisError.message);
+    }
+    
+    throwIfAborted(scanOptions);
+    
+    // Get balance
+    const balance = accountInfo.lamports / 1e9; // Convert lamports to SOL
+    
+    // Current token balances, used to value open positions in the ledger
+    const tokenAnalysis = await analyzeTokenHoldings(connection, publicKey, signatures);
+    throwIfAborted(scanOptions);
+    const holdings = {};
+    for (const account of tokenAnalysis.tokenAccounts) {
+      const info = account.account.data.parsed.info;
+      holdings[info.mint] = (holdings[info.mint] || 0) + info.tokenAmount.uiAmount;
+    }
+    
+    // ULTRA-AGGRESSIVE: Minimal insider analysis
+    const insiderAnalysis = await checkInsiderCriteria(connection, publicKey, signatures, genesis, scanOptions);
+    
+    // Per-mint ledger: FIFO cost basis, realized/unrealized PnL, peak multiple, hold time
+    const positions = buildPositionLedger(insiderAnalysis.trades, { holdings, holdingsComplete: tokenAnalysis.complete });
+    
+    return {
+      address: walletAddress,
+      balance: balance.toFixed(4),
+      transactions: signatures.length,
+      tokens: tokenAnalysis.tokenCount,
+      isInsider: insiderAnalysis.isInsider,
+      insiderReason: insiderAnalysis.reason,
+      fundingSource: insiderAnalysis.fundingSource,
+      fundingSourceLabel: insiderAnalysis.fundingSourceLabel,
+      fundingSourceType: insiderAnalysis.fundingSourceType,
+      fundingAmount: insiderAnalysis.fundingAmount,
+      freshWallet: insiderAnalysis.freshWallet,
+      firstSeenAt: genesis ? genesis.firstSeenAt : null,
+      firstFunder: genesis ? genesis.firstFunder : null,
+      firstFunderLabel: genesis ? genesis.firstFunderLabel : null,
+      firstFundingSignature: genesis ? genesis.firstFundingSignature : null,
+      fundingToFirstSwapSeconds: genesis ? genesis.fundingToFirstSwapSeconds : null,
+      genesis,
+      quickTrades: insiderAnalysis.quickTrades,
+      goodPlays: insiderAnalysis.goodPlays,
+      washTradeVolume: insiderAnalysis.washTradeVolume,
+      totalProfit: insiderAnalysis.totalProfit,
+      detectedPatterns: insiderAnalysis.patterns,
+      totalTrades: insiderAnalysis.totalTrades,
+      roundTrips: insiderAnalysis.roundTrips,
+      launchEntries: insiderAnalysis.entries,
+      positions,
+      ruleResults: insiderAnalysis.ruleResults,
+      insiderScore: insiderAnalysis.insiderScore,
+      scoreBreakdown: insiderAnalysis.scoreBreakdown,
+      analysisDepth: limitedDepth
+    };
+
+  } catch (error) {
+    console.warn('Wallet analysis failed:', walletAddress, error.message);
+    // An aborted analysis is reported by whoever aborted it
+    if (!(scanOptions.signal && scanOptions.signal.aborted)) {
+      recordFailure(scanOptions, { address: walletAddress, stage: 'analysis' }, error);
+    }
+    return null;
+  }
+}
+
+// Analyze real token holdings
+async function analyzeTokenHoldings(connection, publicKey, signatures) {
+  try {
+    // Get token accounts for this wallet
+    const tokenAccounts = await connection.getParsedTokenAccountsByOwner(publicKey, {
+      programId: new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA')
+    });
+    
+    // Count non-zero token accounts
+    const activeTokens = tokenAccounts.value.filter(account => 
+      account.account.data.parsed.info.tokenAmount.uiAmount > 0
+    );
+    
+    return {
+      tokenCount: activeTokens.length,
+      tokenAccounts: activeTokens,
+      complete: true
+    };
+  } catch (error) {
+    console.warn('Token analysis failed:', error.message);
+    return { tokenCount: 0, tokenAccounts: [], complete: false };
+  }
+}
+
+
+
+// Check if wallet meets insider criteria
+async function checkInsiderCriteria(connection, publicKey, signatures, genesis = null, scanOptions = {}) {
+  const { fundingRegistry = createFundingRegistry(), ruleset = resolveRuleset(), discovery = null } = scanOptions;
+  
+  try {
+    // Collect the raw measurements; the rule engine decides the verdict
+    const wallet = publicKey.toString();
+    const fundingEvents = [];   // SOL received in a transaction involving a registered funder
+    const decoded = [];         // Decoded transactions (newest first)
+    const trades = [];          // SOL-priced swaps executed by this wallet
+    
+    // One batched round trip for the whole window instead of one request per signature
+    const window = signatures.slice(0, MAX_ANALYSIS_TRANSACTIONS);
+    const fetched = await transactionFetcher(connection, scanOptions).fetchMany(window.map(sig => sig.signature));
+    
+    for (let i = 0; i < fetched.length; i++) {
+      try {
+        const { tx, error: fetchError } = fetched[i];
+        if (fetchError) throw fetchError;
+        
+        const transaction = decodeWalletTransaction(tx, wallet, signatures[i].signature);
+        if (!transaction) continue;
+        
+        transaction.blockTime = transaction.blockTime || signatures[i].blockTime;
+        decoded.push(transaction);
+        
+        for (const trade of transaction.trades) {
+          trades.push({ ...trade, signature: transaction.signature, blockTime: transaction.blockTime });
+        }
+        
+        // Check if this transaction shows funding from a registered funding source
+        if (transaction.solChangeLamports > 0 && transaction.trades.length === 0) {
+          const funderKey = transaction.accountKeys.find(key => fundingRegistry.has(key));
+          if (funderKey) {
+            const source = fundingRegistry.get(funderKey);
+            fundingEvents.push({
+              source: funderKey,
+              sourceLabel: source.label,
+              sourceType: source.type,
+              amountSol: transaction.solChangeLamports / 1e9,
+              preBalanceLamports: transaction.walletPreBalance,
+              signature: transaction.signature,
+              blockTime: transaction.blockTime
+            });
+            console.log(`ULTRA-FAST: Found funding: ${(transaction.solChangeLamports / 1e9).toFixed(4)} SOL from ${source.label} (pre-balance: ${transaction.walletPreBalance})`);
+          }
+        }
+        
+      } catch (txError) {
+        console.warn('Transaction analysis failed:', txError.message);
+        continue;
+      }
+    }
+    
+    // Signatures are newest first, so the last funding event seen is the earliest one
+    let funding = fundingEvents.length > 0 ? fundingEvents[fundingEvents.length - 1] : null;
+    
+    // A verified first funding from wallet genesis takes precedence over the analysis window
+    const genesisSource = genesis && genesis.firstFunder ? fundingRegistry.get(genesis.firstFunder) : null;
+    if (genesisSource) {
+      funding = {
+        source: genesis.firstFunder,
+        sourceLabel: genesisSource.label,
+        sourceType: genesisSource.type,
+        amountSol: genesis.firstFundingAmount,
+        preBalanceLamports: genesis.firstFundingPreBalance,
+        signature: genesis.firstFundingSignature,
+        blockTime: genesis.firstFundingAt
+      };
+    }
+    
+    // Otherwise the transfer discovery found this wallet through
+    if (!funding && discovery && discovery.fundingSource) {
+      const discoverySource = fundingRegistry.get(discovery.fundingSource);
+      funding = {
+        source: discovery.fundingSource,
+        sourceLabel: discoverySource ? discoverySource.label : discovery.fundingSourceLabel,
+        sourceType: discoverySource ? discoverySource.type : null,
+        amountSol: Number(discovery.fundingAmount),
+        preBalanceLamports: discovery.preBalance !== undefined ? discovery.preBalance : null,
+        signature: discovery.discoveredFrom || null,
+        blockTime: discovery.fundedAt || null
+      };
+    }
+    
+    // Tag buys with their token's launch context (seconds after launch, entry rank)
+    let entries;
+    try {
+      entries = await tagTokenEntries(connection, wallet, trades, {
+        maxMints: LAUNCH_CONTEXT_MINTS,
+        deadline: scanOptions.deadline,
+        signal: scanOptions.signal,
+        transactionFetcher: transactionFetcher(connection, scanOptions),
+        ...LAUNCH_CONTEXT_OPTIONS
+      });
+    } catch (launchError) {
+      console.warn('Token launch context failed:', launchError.message);
+    }
+    
+    // Pair buys and sells per mint into round trips with hold time and realized PnL
+    const { roundTrips, unmatchedSells } = buildRoundTrips(trades);
+    const quickTradeWindow = ruleset.rules.quickTrades.params.maxHoldSeconds;
+    const totalProfit = roundTrips.reduce((sum, trip) => sum + trip.pnlSol, 0);
+    const washTradeVolume = roundTrips
+      .filter(trip => trip.holdSeconds !== null && trip.holdSeconds <= quickTradeWindow)
+      .reduce((sum, trip) => sum + trip.costSol + trip.proceedsSol, 0);
+    
+    const evaluation = evaluateRules({
+      wallet,
+      funding,
+      genesis,
+      transactions: decoded,
+      trades,
+      roundTrips,
+      entries,
+      totalProfitSol: totalProfit
+    }, ruleset);
+    
+    const scoreBreakdown = computeInsiderScore({ funding, genesis, roundTrips, entries }, ruleset);
+    
+    const quickTrades = ruleMeasurement(evaluation, 'quickTrades') || 0;
+    const goodPlays = ruleMeasurement(evaluation, 'goodPlays') || 0;
+    const freshWallet = evaluation.passed.some(result => result.name === 'freshWallet');
+    
+    // Debug: Log criteria evaluation
+    console.log(`Wallet ${publicKey.toString()} insider rule evaluation:`, {
+      passed: evaluation.passed.map(result => result.name),
+      failed: evaluation.failed.map(result => result.name),
+      skipped: evaluation.skipped.map(result => result.name),
+      score: evaluation.score,
+      insiderScore: scoreBreakdown.score,
+      isInsider: evaluation.isInsider
+    });
+    
+    // Determine reason for classification
+    let reason = '';
+    if (evaluation.isInsider) {
+      reason = funding
+        ? `INSIDER: ${freshWallet ? 'FRESH wallet FIRST funded' : 'Funded'} by ${funding.sourceLabel} with ${funding.amountSol.toFixed(4)} SOL. ${quickTrades} wash trades, ${goodPlays} good plays.`
+        : `INSIDER: ${evaluation.passed.map(result => result.pattern).join(', ')}`;
+    } else {
+      const missing = [
+        ...evaluation.failed.filter(result => result.required).map(result => result.message),
+        ...evaluation.skipped.filter(result => result.required).map(result => result.message)
+      ];
+      if (missing.length === 0) {
+        missing.push(`Rule score ${(evaluation.score * 100).toFixed(0)}% below required ${(evaluation.minScore * 100).toFixed(0)}%`);
+      }
+      reason = `NOT INSIDER: ${missing.join(', ')}`;
+    }
+    
+    return {
+      isInsider: evaluation.isInsider,
+      reason,
+      fundingSource: funding ? funding.source : null,
+      fundingSourceLabel: funding ? funding.sourceLabel : null,
+      fundingSourceType: funding ? funding.sourceType : null,
+      fundingAmount: (funding ? funding.amountSol : 0).toFixed(4),
+      freshWallet,
+      quickTrades,
+      goodPlays,
+      washTradeVolume: washTradeVolume.toFixed(2),
+      totalProfit: totalProfit.toFixed(2),
+      patterns: evaluation.passed.map(result => result.pattern),
+      totalTrades: trades.length,
+      trades,
+      roundTrips,
+      unmatchedSells,
+      entries: entries || [],
+      ruleResults: evaluation,
+      insiderScore: scoreBreakdown.score,
+      scoreBreakdown
+    };
+    
+  } catch (error) {
+    console.warn('Insider criteria check failed:', error.message);
+    return {
+      isInsider: false,
+      reason: 'Analysis failed',
+      fundingSource: null,
+      fundingSourceLabel: null,
+      fundingSourceType: null,
+      fundingAmount: '0.0000',
+      freshWallet: false,
+      quickTrades: 0,
+      goodPlays: 0,
+      washTradeVolume: '0.00',
+      totalProfit: '0.00',
+      patterns: [],
+      totalTrades: 0,
+      trades: [],
+      roundTrips: [],
+      unmatchedSells: 0,
+      entries: [],
+      ruleResults: null,
+      insiderScore: 0,
+      scoreBreakdown: null
+    };
+  }
+}
+
+// New function: Discover fresh wallets from recent transactions
+export async function discoverFreshWallets(connection, maxWallets, scanOptions) {
+  const insiderWallets = scanOptions.fundingRegistry.list();
+  const { maxPreBalanceLamports } = scanOptions.ruleset.rules.freshWallet.params;
+  
+  const discoveredWallets = new Map();
+  
+  // Add overall timeout for the entire discovery process
+  const discoveryTimeout = 30000; // 30 seconds max
+  
+  try {
+    await runWithTimeout(discoveryTimeout, 'Discovery process timed out', discoverWalletsInternal, scanOptions.signal);
+  } catch (error) {
+    console.log('Discovery timeout or error:', error.message);
+    // Return whatever we found before timeout
+  }
+  
+  return Array.from(discoveredWallets.values());
+  
+  // Stops at the next funder or chunk once `signal` is aborted
+  async function discoverWalletsInternal(signal) {
+    for (const { address: insiderWallet, label } of insiderWallets) {
+      if (signal.aborted) return;
+      try {
+        console.log(`Scanning transactions from ${label} (${insiderWallet})`);
+        
+        // Get recent signatures
+        const signatures = await connection.getSignaturesForAddress(
+          new PublicKey(insiderWallet),
+          { limit: DISCOVERY_SIGNATURE_LIMIT }
+        );
+        
+        // Each chunk is fetched as batched requests; stop early once enough wallets are found
+        const chunkSize = DISCOVERY_CHUNK_SIZE;
+        console.log(`Processing ${signatures.length} signatures in chunks of ${chunkSize}`);
+        
+        for (let i = 0; i < signatures.length && discoveredWallets.size < maxWallets && !signal.aborted; i += chunkSize) {
+          const chunk = signatures.slice(i, i + chunkSize);
+          console.log(`Processing chunk ${Math.floor(i/chunkSize) + 1}/${Math.ceil(signatures.length/chunkSize)} (${chunk.length} signatures)`);
+          
+          const fetchChunk = transactionFetcher(connection, scanOptions).fetchMany(chunk.map(sig => sig.signature));
+          
+          const processChunk = fetchChunk.then(fetched => fetched.forEach((entry, index) => {
+            const sig = chunk[index];
+            if (discoveredWallets.size >= maxWallets) return;
+            try {
+              const { tx, error: fetchError } = entry;
+              if (fetchError) throw fetchError;
+              
+              if (tx && tx.meta && tx.transaction) {
+                // Look for SOL transfers from the funding source within the funding range
+                for (const recipient of findFundedWallets(tx, insiderWallet, scanOptions.ruleset)) {
+                  console.log(`Found SOL transfer: ${recipient.amount.toFixed(4)} SOL to ${recipient.address} (pre: ${recipient.preBalance})`);
+                  
+                  // Only brand-new accounts are candidates; the wallet analysis then
+                  // verifies that this transfer really was the wallet's first transaction
+                  if (recipient.preBalance > maxPreBalanceLamports) {
+                    console.log(`❌ ${recipient.address} already existed before this transfer`);
+                    continue;
+                  }
+                  if (discoveredWallets.has(recipient.address)) continue;
+                  
+                  console.log(`✅ Found qualifying transfer: ${recipient.amount.toFixed(4)} SOL to ${recipient.address}`);
+                  const discovered = {
+                    address: recipient.address,
+                    fundingSource: insiderWallet,
+                    fundingSourceLabel: label,
+                    fundingAmount: recipient.amount,
+                    preBalance: recipient.preBalance,
+                    fundedAt: tx.blockTime || sig.blockTime || null,
+                    discoveredFrom: sig.signature
+                  };
+                  discoveredWallets.set(recipient.address, discovered);
+                  
+                  console.log(`Added wallet ${recipient.address} to discovered set. Total: ${discoveredWallets.size}`);
+                  emit(scanOptions, 'discovered', discovered);
+                  emit(scanOptions, 'progress', { phase: 'discovery', processed: discoveredWallets.size, total: maxWallets });
+                  
+                  // Stop if we have enough wallets
+                  if (discoveredWallets.size >= maxWallets) {
+                    console.log(`Reached max wallets limit: ${maxWallets}`);
+                    return;
+                  }
+                }
+              } else {
+                console.log(`Transaction ${sig.signature} missing required data:`, {
+                  hasTx: !!tx,
+                  hasMeta: !!(tx && tx.meta)
+                });
+              }
+            } catch (error) {
+              console.log(`Error processing transaction ${sig.signature}:`, error.message);
+              recordFailure(scanOptions, { address: insiderWallet, stage: 'discovery', signature: sig.signature }, error);
+            }
+          }));
+          
+          // Process chunk with timeout
+          await runWithTimeout(15000, 'Chunk processing timeout', () => processChunk, signal); // 15 second timeout
+        }
+        
+      } catch (error) {
+        console.log(`Error scanning ${insiderWallet}:`, error.message);
+        recordFailure(scanOptions, { address: insiderWallet, stage: 'discovery' }, error);
+      }
+    }
+  }
+}
+
+// New function: Process discovered wallets in batches
+export async function processWalletBatch(connection, wallets, scanDepth, scanOptions) {
+  const { fundingRegistry } = scanOptions;
+  const allResults = [];
+  const batchSize = 5; // Reduced from 10 to 5 for faster processing
+  const batchTimeout = 20000; // 20 seconds per batch
+  const settled = new Set();   // Wallets whose analysis finished, even after a batch timeout
+  
+  // Created up front so the per-wallet copies of scanOptions below share it
+  transactionFetcher(connection, scanOptions);
+  
+  for (let i = 0; i < wallets.length; i += batchSize) {
+    if (scanOptions.signal && scanOptions.signal.aborted) break;
+    const batch = wallets.slice(i, i + batchSize);
+    console.log(`Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(wallets.length/batchSize)}: ${batch.length} wallets`);
+    
+    try {
+      // Process batch with timeout; analyses still running when it fires are aborted
+      const batchResults = await runWithTimeout(
+        batchTimeout,
+        'Batch processing timeout',
+        signal => processBatchInternal(batch, signal),
+        scanOptions.signal
+      );
+      
+      console.log(`Batch ${Math.floor(i/batchSize) + 1} results:`, batchResults.length, 'wallets processed');
+      
+      const validResults = batchResults.filter(result => result !== null);
+      console.log(`Valid results from batch ${Math.floor(i/batchSize) + 1}:`, validResults.length);
+      
+      allResults.push(...validResults);
+      
+    } catch (error) {
+      console.log(`Batch ${Math.floor(i/batchSize) + 1} failed:`, error.message);
+      for (const walletInfo of batch.filter(entry => !settled.has(entry.address))) {
+        recordFailure(scanOptions, { address: walletInfo.address, stage: 'analysis' }, error);
+      }
+      // Continue with next batch instead of failing completely
+    }
+    
+    emit(scanOptions, 'progress', { phase: 'analysis', processed: Math.min(i + batchSize, wallets.length), total: wallets.length });
+    
+    // Small delay between batches
+    if (i + batchSize < wallets.length) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  
+  // Clusters across every wallet discovered in this run feed the score's cluster feature
+  try {
+    const graph = await buildFundingGraph(connection, wallets.filter(wallet => wallet.fundingSource), { fundingRegistry, deadline: 0 });
+    applyClusterMembership(allResults, detectClusters(graph));
+  } catch (error) {
+    console.warn('Cluster scoring failed:', error.message);
+  }
+  
+  return allResults
+    .filter(wallet => wallet.isInsider)
+    .sort((a, b) => (b.insiderScore || 0) - (a.insiderScore || 0));
+  
+  async function processBatchInternal(batch, batchSignal) {
+    const batchPromises = batch.map(async (walletInfo) => {
+      try {
+        console.log(`Analyzing wallet ${walletInfo.address} (funded with ${walletInfo.fundingAmount} SOL from ${walletInfo.fundingSourceLabel})`);
+        
+        // Add timeout to individual wallet analysis
+        const analysis = await runWithTimeout(
+          10000, // 10 second timeout per wallet
+          'Wallet analysis timeout',
+          (signal, deadline) => analyzeWalletForInsiderPatterns(connection, walletInfo.address, scanDepth, {
+            ...scanOptions,
+            signal,
+            deadline: Math.min(deadline, scanOptions.deadline || Infinity),
+            discovery: walletInfo
+          }),
+          batchSignal
+        );
+        
+        settled.add(walletInfo.address);
+        
+        if (analysis) {
+          emitAnalysis(scanOptions, analysis);
+          console.log(`✅ Wallet ${walletInfo.address} analysis complete:`, {
+            isInsider: analysis.isInsider,
+            reason: analysis.insiderReason,
+            transactions: analysis.transactions,
+            quickTrades: analysis.quickTrades,
+            goodPlays: analysis.goodPlays
+          });
+        } else {
+          console.log(`❌ Wallet ${walletInfo.address} analysis returned null`);
+        }
+        return analysis;
+      } catch (error) {
+        console.log(`Error analyzing wallet ${walletInfo.address}:`, error.message);
+        // After a batch timeout the batch has already reported this wallet
+        if (batchSignal.aborted) return null;
+        settled.add(walletInfo.address);
+        recordFailure(scanOptions, { address: walletInfo.address, stage: 'analysis' }, error);
+        return null;
+      }
+    });
+    
+    return await Promise.all(batchPromises);
+  }
+}
+
+
+
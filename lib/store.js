@@ -0,0 +1,211 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Small JSON record store: one record per id, grouped by collection.
+//
+// Two backends with the same interface:
+//   kv    a Redis REST endpoint (Vercel KV / Upstash), used when KV_REST_API_URL
+//         and KV_REST_API_TOKEN are set. Shared by every instance, so this is
+//         the one to use for deployments: watchlist, discovery jobs, monitor
+//         state and alert channels all live here.
+//   file  one JSON file per record in DCA_DATA_DIR, falling back to
+//         /tmp/dca-tracker on Vercel and ./data everywhere else. Local only: on
+//         Vercel /tmp belongs to a single instance and is wiped on cold start,
+//         so records written by one invocation may be missing in the next.
+
+const KV_TIMEOUT_MS = 5000;
+
+function kvConfig() {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? { url: url.replace(/\/+$/, ''), token } : null;
+}
+
+export function storeBackend() {
+  return kvConfig() ? 'kv' : 'file';
+}
+
+export function dataDir() {
+  if (process.env.DCA_DATA_DIR) return process.env.DCA_DATA_DIR;
+  return process.env.VERCEL ? '/tmp/dca-tracker' : path.join(process.cwd(), 'data');
+}
+
+let warnedEphemeral = false;
+function warnIfEphemeral() {
+  if (warnedEphemeral || !process.env.VERCEL || process.env.DCA_DATA_DIR) return;
+  warnedEphemeral = true;
+  console.warn('Store: KV_REST_API_URL/KV_REST_API_TOKEN not set, records are kept in this instance\'s /tmp only');
+}
+
+export function createId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function checkId(id) {
+  if (!/^[A-Za-z0-9_-]+$/.test(String(id))) {
+    throw new Error(`Invalid record id: ${id}`);
+  }
+}
+
+function recordPath(collection, id) {
+  checkId(id);
+  return path.join(dataDir(), collection, `${id}.json`);
+}
+
+// One Redis command over the REST API, e.g. kvCommand('GET', key)
+async function kvCommand(...command) {
+  const { url, token } = kvConfig();
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(command),
+    signal: AbortSignal.timeout(KV_TIMEOUT_MS)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.error) {
+    throw new Error(`KV ${command[0]} failed: ${body.error || `HTTP ${response.status}`}`);
+  }
+  return body.result;
+}
+
+// Records are `<prefix>:<collection>:<id>`; the set `<prefix>:<collection>` lists the ids
+function kvKey(collection, id) {
+  const prefix = process.env.DCA_KV_PREFIX || 'dca-tracker';
+  return id === undefined ? `${prefix}:${collection}` : `${prefix}:${collection}:${id}`;
+}
+
+// Returns null when the record does not exist
+export async function readRecord(collection, id) {
+  if (kvConfig()) {
+    checkId(id);
+    const value = await kvCommand('GET', kvKey(collection, id));
+    return value === null || value === undefined ? null : JSON.parse(value);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(recordPath(collection, id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write through a temp file so a crashed invocation never leaves half a record
+export async function writeRecord(collection, id, value) {
+  if (kvConfig()) {
+    checkId(id);
+    await kvCommand('SET', kvKey(collection, id), JSON.stringify(value));
+    await kvCommand('SADD', kvKey(collection), String(id));
+    return value;
+  }
+
+  warnIfEphemeral();
+  const file = recordPath(collection, id);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value, null, 2));
+  await fs.rename(temp, file);
+  return value;
+}
+
+export async function deleteRecord(collection, id) {
+  if (kvConfig()) {
+    checkId(id);
+    const removed = await kvCommand('DEL', kvKey(collection, id));
+    await kvCommand('SREM', kvKey(collection), String(id));
+    return removed > 0;
+  }
+
+  try {
+    await fs.unlink(recordPath(collection, id));
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+export async function listRecords(collection) {
+  if (kvConfig()) {
+    const ids = await kvCommand('SMEMBERS', kvKey(collection));
+    if (!ids || ids.length === 0) return [];
+    const values = await kvCommand('MGET', ...ids.map(id => kvKey(collection, id)));
+    return values.filter(value => value !== null).map(value => JSON.parse(value));
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(path.join(dataDir(), collection));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const record = await readRecord(collection, file.slice(0, -'.json'.length));
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+// Exclusive, expiring lease on `name` (e.g. one running step per discovery job).
+// Returns a token for releaseLease, or null while someone else holds it. Taken
+// atomically: SET NX PX on KV, an exclusive create of a lock file on the file
+// backend, where a lock older than ttlMs is left by a dead holder and replaced.
+export async function acquireLease(name, ttlMs) {
+  checkId(name);
+  const token = crypto.randomBytes(8).toString('hex');
+
+  if (kvConfig()) {
+    const result = await kvCommand('SET', kvKey('lease', name), token, 'NX', 'PX', String(ttlMs));
+    return result === 'OK' ? token : null;
+  }
+
+  const file = leasePath(name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(file, token, { flag: 'wx' });
+      return token;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    if (stat.mtimeMs + ttlMs > Date.now()) return null;
+    console.warn(`Store: lease ${name} expired ${Math.round(Date.now() - stat.mtimeMs - ttlMs)}ms ago, taking it over`);
+    await fs.unlink(file).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+  return null;
+}
+
+// Release a lease, unless it expired and someone else has taken it since
+export async function releaseLease(name, token) {
+  checkId(name);
+
+  if (kvConfig()) {
+    await kvCommand('EVAL', "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end", '1', kvKey('lease', name), token);
+    return;
+  }
+
+  const file = leasePath(name);
+  try {
+    if (await fs.readFile(file, 'utf8') === token) await fs.unlink(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+function leasePath(name) {
+  return path.join(dataDir(), 'leases', `${name}.lock`);
+}
@@ -0,0 +1,167 @@
+// Transaction decoder: rebuilds SOL <-> SPL token swaps for one wallet.
+//
+// Works on both raw (`getTransaction`) and parsed (`getParsedTransaction`)
+// responses, legacy and v0. The wallet's SOL change is its own lamport delta
+// plus the lamport delta of every token account it owns (this covers wrapped
+// SOL and token-account rent), with the network fee added back when the wallet
+// paid it. Token changes come from pre/postTokenBalances filtered by owner.
+
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+export const DEX_PROGRAMS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'raydium',      // Raydium AMM v4
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK': 'raydium',      // Raydium CLMM
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C': 'raydium',      // Raydium CPMM
+  'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4': 'jupiter',       // Jupiter v6
+  'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB': 'jupiter',       // Jupiter v4
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'pumpfun',       // Pump.fun bonding curve
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'orca',          // Orca Whirlpools
+  '9W959DqEETiGZocYWCQPaJ6sBmUzgfxXfqGeTEdp3aQP': 'orca'          // Orca v2
+};
+
+// Ignore SOL movements smaller than this (lamports) when pairing legs
+const DUST_LAMPORTS = 5000;
+
+// Account keys as base58 strings, including v0 lookup-table addresses
+export function getAccountKeys(tx) {
+  const message = tx.transaction.message;
+  let keys;
+
+  if (Array.isArray(message.accountKeys)) {
+    keys = message.accountKeys.map(key => (key.pubkey ? key.pubkey.toString() : key.toString()));
+  } else if (Array.isArray(message.staticAccountKeys)) {
+    keys = message.staticAccountKeys.map(key => key.toString());
+    const loaded = (tx.meta && tx.meta.loadedAddresses) || {};
+    keys.push(...(loaded.writable || []).map(key => key.toString()));
+    keys.push(...(loaded.readonly || []).map(key => key.toString()));
+  } else {
+    keys = [];
+  }
+
+  return keys;
+}
+
+// Every program invoked by the transaction, outer and inner instructions
+export function getProgramIds(tx, accountKeys = getAccountKeys(tx)) {
+  const message = tx.transaction.message;
+  const outer = message.instructions || message.compiledInstructions || [];
+  const inner = ((tx.meta && tx.meta.innerInstructions) || []).flatMap(group => group.instructions || []);
+  const programIds = new Set();
+
+  for (const instruction of [...outer, ...inner]) {
+    if (instruction.programId) {
+      programIds.add(instruction.programId.toString());
+    } else if (instruction.programIdIndex !== undefined && accountKeys[instruction.programIdIndex]) {
+      programIds.add(accountKeys[instruction.programIdIndex]);
+    }
+  }
+
+  return Array.from(programIds);
+}
+
+// Name of the DEX that executed the transaction, or null
+export function detectDex(programIds) {
+  for (const programId of programIds) {
+    if (DEX_PROGRAMS[programId]) return DEX_PROGRAMS[programId];
+  }
+  return null;
+}
+
+function tokenAmount(balance) {
+  const info = balance.uiTokenAmount || {};
+  const decimals = info.decimals || 0;
+  return Number(info.amount || 0) / Math.pow(10, decimals);
+}
+
+// Lamport change of every account in the transaction, keyed by address
+export function getSolBalanceChanges(tx, accountKeys = getAccountKeys(tx)) {
+  const changes = [];
+  for (let i = 0; i < accountKeys.length; i++) {
+    const pre = tx.meta.preBalances[i];
+    const post = tx.meta.postBalances[i];
+    if (pre === undefined || post === undefined) continue;
+    changes.push({ address: accountKeys[i], index: i, preBalance: pre, postBalance: post, change: post - pre });
+  }
+  return changes;
+}
+
+// Account that sent the most SOL in the transaction (excluding `exclude`), or null
+export function findSolSender(tx, exclude, accountKeys = getAccountKeys(tx)) {
+  let sender = null;
+  for (const entry of getSolBalanceChanges(tx, accountKeys)) {
+    if (entry.address === exclude || entry.change >= 0) continue;
+    if (!sender || entry.change < sender.change) sender = entry;
+  }
+  return sender;
+}
+
+// Decode a transaction from the point of view of `wallet`.
+// Returns null when the transaction has no usable meta.
+export function decodeWalletTransaction(tx, wallet, signature) {
+  if (!tx || !tx.meta || !tx.transaction) return null;
+
+  const meta = tx.meta;
+  const accountKeys = getAccountKeys(tx);
+  const programIds = getProgramIds(tx, accountKeys);
+  const walletIndex = accountKeys.indexOf(wallet);
+
+  const walletPreBalance = walletIndex !== -1 ? meta.preBalances[walletIndex] : null;
+  let solChangeLamports = walletIndex !== -1 ? meta.postBalances[walletIndex] - meta.preBalances[walletIndex] : 0;
+  const feeLamports = walletIndex === 0 ? (meta.fee || 0) : 0;
+
+  // Per-mint token changes and lamports held in the wallet's token accounts
+  const tokenChanges = new Map();
+  const tokenAccountIndexes = new Set();
+
+  for (const [balances, sign] of [[meta.preTokenBalances || [], -1], [meta.postTokenBalances || [], 1]]) {
+    for (const balance of balances) {
+      if (balance.owner !== wallet) continue;
+      tokenAccountIndexes.add(balance.accountIndex);
+      const change = tokenChanges.get(balance.mint) || { mint: balance.mint, amount: 0, decimals: (balance.uiTokenAmount || {}).decimals || 0 };
+      change.amount += sign * tokenAmount(balance);
+      tokenChanges.set(balance.mint, change);
+    }
+  }
+
+  for (const index of tokenAccountIndexes) {
+    if (index !== walletIndex && meta.preBalances[index] !== undefined && meta.postBalances[index] !== undefined) {
+      solChangeLamports += meta.postBalances[index] - meta.preBalances[index];
+    }
+  }
+
+  // Trade value excludes the network fee the wallet paid
+  const tradeLamports = solChangeLamports + feeLamports;
+
+  const changedMints = Array.from(tokenChanges.values())
+    .filter(change => change.mint !== WSOL_MINT && Math.abs(change.amount) > 0);
+
+  const program = detectDex(programIds);
+  const trades = [];
+
+  // Only SOL-priced single-token swaps become trades; token-to-token routes
+  // and plain transfers carry no SOL leg to value them with.
+  if (program && changedMints.length === 1 && Math.abs(tradeLamports) > DUST_LAMPORTS) {
+    const change = changedMints[0];
+    const solAmount = Math.abs(tradeLamports) / 1e9;
+    const tokenAmountAbs = Math.abs(change.amount);
+
+    if (change.amount > 0 && tradeLamports < 0) {
+      trades.push({ side: 'buy', mint: change.mint, tokenAmount: tokenAmountAbs, solAmount, priceSol: solAmount / tokenAmountAbs });
+    } else if (change.amount < 0 && tradeLamports > 0) {
+      trades.push({ side: 'sell', mint: change.mint, tokenAmount: tokenAmountAbs, solAmount, priceSol: solAmount / tokenAmountAbs });
+    }
+  }
+
+  return {
+    signature: signature || (tx.transaction.signatures && tx.transaction.signatures[0] && tx.transaction.signatures[0].toString()),
+    blockTime: tx.blockTime || null,
+    program,
+    programIds,
+    accountKeys,
+    walletPreBalance,
+    feeLamports,
+    solChangeLamports,
+    tokenChanges: changedMints,
+    trades: trades.map(trade => ({ ...trade, program }))
+  };
+}
@@ -0,0 +1,242 @@
+import { PublicKey } from '@solana/web3.js';
+import { decodeWalletTransaction, getAccountKeys, getProgramIds } from './swap-decoder.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { describeFailure } from './errors.js';
+
+// Token launch context.
+//
+// For a mint, pages its signature history back to the start and decodes the
+// oldest transactions to find
+//   - the creation transaction (Pump.fun create, otherwise the mint's first transaction)
+//   - the first liquidity (Pump.fun bonding curve, Raydium AMM v4/CPMM pool init)
+//   - the first buyers in order, with the holder count and price at each buy
+// Wallet analysis tags each buy with "entered N seconds after launch" and its
+// entry rank among buyers. Busy tokens whose history does not reach the start
+// within `maxPages` come back with `complete: false` and no launch time.
+
+const PAGE_SIZE = 1000;
+const DEFAULT_MAX_PAGES = 3;
+
+// Oldest transactions decoded for creation, liquidity and the first buyers
+const DEFAULT_LAUNCH_WINDOW = 100;
+
+// tagTokenEntries looks mints up a few at a time and only starts a round while
+// at least one lookup's worth of time is left before its deadline
+const LAUNCH_LOOKUP_CONCURRENCY = 3;
+const LAUNCH_LOOKUP_ESTIMATE_MS = 2000;
+
+const LAUNCH_INSTRUCTIONS = [
+  { kind: 'pumpfun-create', programId: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P', log: /Instruction: Create\b/ },
+  { kind: 'raydium-amm-init', programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', log: /initialize2/ },
+  { kind: 'raydium-cpmm-init', programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', log: /Instruction: Initialize\b/ }
+];
+
+// Launch contexts of complete histories never change; keep them for the life of the process
+const launchCache = new Map();
+
+function detectLaunchInstruction(tx) {
+  const programIds = getProgramIds(tx);
+  const logs = (tx.meta && tx.meta.logMessages) || [];
+  const match = LAUNCH_INSTRUCTIONS.find(entry =>
+    programIds.includes(entry.programId) && logs.some(line => entry.log.test(line))
+  );
+  return match ? match.kind : null;
+}
+
+// Owners holding a positive balance of `mint` after this transaction
+function applyHolderBalances(tx, mint, balances) {
+  const touched = new Map();
+  for (const balance of (tx.meta && tx.meta.postTokenBalances) || []) {
+    if (balance.mint !== mint || !balance.owner) continue;
+    const amount = Number((balance.uiTokenAmount || {}).uiAmountString || (balance.uiTokenAmount || {}).uiAmount || 0);
+    touched.set(balance.owner, (touched.get(balance.owner) || 0) + amount);
+  }
+  for (const [owner, amount] of touched.entries()) balances.set(owner, amount);
+}
+
+async function loadTokenLaunch(connection, mint, { maxPages, window, fetcher }) {
+  const publicKey = new PublicKey(mint);
+  let signatures = [];
+  let before;
+  let complete = false;
+
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await connection.getSignaturesForAddress(publicKey, { limit: PAGE_SIZE, before });
+    signatures = signatures.concat(batch);
+    if (batch.length < PAGE_SIZE) {
+      complete = true;
+      break;
+    }
+    before = batch[batch.length - 1].signature;
+  }
+
+  const launch = {
+    mint,
+    complete,
+    signaturesScanned: signatures.length,
+    createdAt: null,
+    creationSignature: null,
+    creationKind: null,
+    launchedAt: null,
+    launchSignature: null,
+    launchKind: null,
+    launchPriceSol: null,
+    windowEndsAt: null,
+    buyers: []
+  };
+
+  if (!complete || signatures.length === 0) return launch;
+
+  // Oldest first
+  const oldest = signatures.slice(-window).reverse();
+  const fetched = await (fetcher || createTransactionFetcher(connection)).fetchMany(oldest.map(sig => sig.signature));
+  const holderBalances = new Map();
+  const seenBuyers = new Set();
+
+  for (let i = 0; i < fetched.length; i++) {
+    const { signature, tx } = fetched[i];
+    if (!tx || !tx.meta) continue;
+    const blockTime = tx.blockTime || oldest[i].blockTime || null;
+
+    const kind = detectLaunchInstruction(tx);
+    if (!launch.creationSignature) {
+      launch.createdAt = blockTime;
+      launch.creationSignature = signature;
+      launch.creationKind = kind === 'pumpfun-create' ? kind : 'mint-created';
+    }
+    if (kind && !launch.launchSignature) {
+      launch.launchedAt = blockTime;
+      launch.launchSignature = signature;
+      launch.launchKind = kind;
+    }
+
+    // Buyers: the fee payer of a swap that bought this mint
+    const holdersBefore = Array.from(holderBalances.values()).filter(amount => amount > 0).length;
+    const payer = getAccountKeys(tx)[0];
+    const decoded = tx.meta.err ? null : decodeWalletTransaction(tx, payer, signature);
+    const buy = decoded ? decoded.trades.find(trade => trade.side === 'buy' && trade.mint === mint) : null;
+    if (buy && !seenBuyers.has(payer)) {
+      seenBuyers.add(payer);
+      launch.buyers.push({
+        wallet: payer,
+        rank: launch.buyers.length + 1,
+        signature,
+        blockTime,
+        solAmount: buy.solAmount,
+        priceSol: buy.priceSol,
+        holdersBefore
+      });
+      if (launch.launchPriceSol === null) launch.launchPriceSol = buy.priceSol;
+    }
+
+    applyHolderBalances(tx, mint, holderBalances);
+    launch.windowEndsAt = blockTime;
+  }
+
+  // Without a recognised launch instruction the first transaction is the best guess
+  if (!launch.launchSignature) {
+    launch.launchedAt = launch.createdAt;
+    launch.launchSignature = launch.creationSignature;
+    launch.launchKind = launch.creationKind;
+  }
+
+  return launch;
+}
+
+// Launch context of a mint. Options: maxPages (signature pages to reach the
+// start), window (oldest transactions decoded), transactionFetcher (shared).
+export async function getTokenLaunch(connection, mint, options = {}) {
+  const {
+    maxPages = DEFAULT_MAX_PAGES,
+    window = DEFAULT_LAUNCH_WINDOW,
+    transactionFetcher = null
+  } = options;
+
+  const cached = launchCache.get(mint);
+  if (cached) return cached;
+
+  const launch = await loadTokenLaunch(connection, mint, { maxPages, window, fetcher: transactionFetcher });
+  if (launch.complete) launchCache.set(mint, launch);
+  return launch;
+}
+
+// Where one buy sits in a token's life
+export function entryContext(launch, { wallet, signature, blockTime, priceSol = null }) {
+  const buyer = launch.buyers.find(entry => entry.wallet === wallet) || null;
+  const inWindow = buyer && (!signature || buyer.signature === signature);
+  const entryPrice = priceSol !== null ? priceSol : (buyer ? buyer.priceSol : null);
+
+  return {
+    launchedAt: launch.launchedAt,
+    launchKind: launch.launchKind,
+    secondsAfterLaunch: launch.launchedAt && blockTime ? Math.max(0, blockTime - launch.launchedAt) : null,
+    // Rank among distinct buyers; only known for a wallet's first buy inside the decoded window
+    entryRank: inWindow ? buyer.rank : null,
+    // A lower bound when the buy came after the decoded window
+    buyersBefore: inWindow ? buyer.rank - 1 : (launch.windowEndsAt && blockTime > launch.windowEndsAt ? launch.buyers.length : null),
+    holdersAtEntry: inWindow ? buyer.holdersBefore : null,
+    entryPriceSol: entryPrice,
+    launchPriceSol: launch.launchPriceSol,
+    priceMultipleFromLaunch: entryPrice && launch.launchPriceSol ? entryPrice / launch.launchPriceSol : null
+  };
+}
+
+// Tag the buys of the `maxMints` most recently bought mints with their launch
+// context (trade.launchContext) and return one entry per bought mint (its first
+// buy) for the earlyEntry/subMinuteEntries rules and the insider score.
+// Mints skipped at the `deadline` (or once `signal` is aborted) and failed
+// lookups carry the reason in `launchContextUnavailable`, on the entry and buys.
+export async function tagTokenEntries(connection, wallet, trades, options = {}) {
+  const { maxMints = 5, failures = null, deadline = Infinity, signal = null, ...launchOptions } = options;
+
+  const firstBuyByMint = new Map();
+  for (const trade of [...trades].sort((a, b) => (a.blockTime || 0) - (b.blockTime || 0))) {
+    if (trade.side === 'buy' && !firstBuyByMint.has(trade.mint)) firstBuyByMint.set(trade.mint, trade);
+  }
+
+  const mints = Array.from(firstBuyByMint.values())
+    .sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0))
+    .slice(0, maxMints)
+    .map(trade => trade.mint);
+
+  const launches = new Map();
+  const unavailable = new Map();
+  for (let i = 0; i < mints.length; i += LAUNCH_LOOKUP_CONCURRENCY) {
+    if ((signal && signal.aborted) || Date.now() + LAUNCH_LOOKUP_ESTIMATE_MS > deadline) {
+      console.warn(`Token launch lookups for ${wallet}: time budget ran out with ${mints.length - i} of ${mints.length} mints left`);
+      for (const mint of mints.slice(i)) unavailable.set(mint, 'time budget ran out before the launch lookup');
+      break;
+    }
+    await Promise.all(mints.slice(i, i + LAUNCH_LOOKUP_CONCURRENCY).map(async mint => {
+      try {
+        launches.set(mint, await getTokenLaunch(connection, mint, launchOptions));
+      } catch (error) {
+        console.warn(`Token launch lookup failed for ${mint}:`, error.message);
+        unavailable.set(mint, 'launch lookup failed');
+        if (failures) failures.push(describeFailure({ address: mint, stage: 'launch' }, error));
+      }
+    }));
+  }
+
+  for (const trade of trades) {
+    if (trade.side !== 'buy') continue;
+    const launch = launches.get(trade.mint);
+    if (launch) {
+      trade.launchContext = entryContext(launch, { wallet, signature: trade.signature, blockTime: trade.blockTime, priceSol: trade.priceSol });
+    } else if (unavailable.has(trade.mint)) {
+      trade.launchContextUnavailable = unavailable.get(trade.mint);
+    }
+  }
+
+  return Array.from(firstBuyByMint.values()).map(trade => ({
+    mint: trade.mint,
+    blockTime: trade.blockTime,
+    signature: trade.signature,
+    solAmount: trade.solAmount,
+    launchedAt: trade.launchContext ? trade.launchContext.launchedAt : null,
+    secondsAfterLaunch: trade.launchContext ? trade.launchContext.secondsAfterLaunch : null,
+    entryRank: trade.launchContext ? trade.launchContext.entryRank : null,
+    holdersAtEntry: trade.launchContext ? trade.launchContext.holdersAtEntry : null,
+    launchContextUnavailable: unavailable.get(trade.mint) || null
+  }));
+}
@@ -0,0 +1,99 @@
+// Batched transaction fetching.
+//
+// Fetches transactions with `getParsedTransactions` (one JSON-RPC batch request
+// per chunk of signatures) and runs a bounded number of chunks in parallel.
+// Every signature is fetched at most once per fetcher, so discovery, analysis
+// and genesis lookups in the same scan share transactions (the funding
+// transfer that discovery finds is the same one genesis decodes).
+//
+// Some endpoints refuse batch requests; a chunk that fails as a batch is
+// retried one signature at a time so a single bad signature or a batch-less
+// endpoint does not lose the whole chunk.
+
+const DEFAULT_BATCH_SIZE = 25;
+const DEFAULT_CONCURRENCY = 3;
+
+const FETCH_CONFIG = { maxSupportedTransactionVersion: 0 };
+
+export function createTransactionFetcher(connection, options = {}) {
+  const { batchSize = DEFAULT_BATCH_SIZE, concurrency = DEFAULT_CONCURRENCY } = options;
+
+  // signature -> Promise<{ tx, error }>, settled or in flight
+  const entries = new Map();
+  const stats = { requested: 0, deduped: 0, fetched: 0, batches: 0, singleFallbacks: 0, failed: 0 };
+
+  let active = 0;
+  const waiting = [];
+
+  async function withSlot(task) {
+    if (active >= concurrency) await new Promise(resolve => waiting.push(resolve));
+    active++;
+    try {
+      return await task();
+    } finally {
+      active--;
+      if (waiting.length > 0) waiting.shift()();
+    }
+  }
+
+  async function fetchChunk(signatures) {
+    try {
+      stats.batches++;
+      const transactions = await connection.getParsedTransactions(signatures, FETCH_CONFIG);
+      return signatures.map((signature, i) => ({ tx: transactions[i] || null, error: null }));
+    } catch (batchError) {
+      console.warn(`Batch of ${signatures.length} transactions failed, fetching one by one:`, batchError.message);
+      stats.singleFallbacks++;
+      return Promise.all(signatures.map(signature =>
+        connection.getParsedTransaction(signature, FETCH_CONFIG)
+          .then(tx => ({ tx: tx || null, error: null }))
+          .catch(error => ({ tx: null, error }))
+      ));
+    }
+  }
+
+  // Fetch signatures not seen before; returns one `{ signature, tx, error }` per input, in order
+  async function fetchMany(signatures) {
+    const unique = Array.from(new Set(signatures.filter(Boolean)));
+    stats.requested += signatures.length;
+
+    const missing = unique.filter(signature => !entries.has(signature));
+    stats.deduped += signatures.length - missing.length;
+
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const chunk = missing.slice(i, i + batchSize);
+      const results = withSlot(() => fetchChunk(chunk));
+      chunk.forEach((signature, index) => {
+        entries.set(signature, results.then(settled => {
+          const entry = settled[index];
+          if (entry.error) {
+            // Forget failures so a later call can retry the signature
+            stats.failed++;
+            entries.delete(signature);
+          } else {
+            stats.fetched++;
+          }
+          return entry;
+        }));
+      });
+    }
+
+    const settled = await Promise.all(signatures.map(signature =>
+      entries.has(signature) ? entries.get(signature) : { tx: null, error: null }
+    ));
+    return signatures.map((signature, i) => ({ signature, ...settled[i] }));
+  }
+
+  // Single transaction through the same cache; rejects when the fetch failed
+  async function fetchOne(signature) {
+    const [entry] = await fetchMany([signature]);
+    if (entry.error) throw entry.error;
+    return entry.tx;
+  }
+
+  return {
+    fetchMany,
+    fetchOne,
+    stats: () => ({ ...stats, cached: entries.size })
+  };
+}
@@ -0,0 +1,220 @@
+import { PublicKey } from '@solana/web3.js';
+import { ScanError } from './errors.js';
+
+// Request validation shared by the API functions.
+//
+// A schema maps each field to a rule built with the helpers below. validate()
+// runs every rule and either returns the cleaned values or throws one ScanError
+// listing every problem as `fieldErrors: [{ field, message }]`. When only
+// addresses are wrong the code is INVALID_ADDRESS and `invalidAddresses` lists
+// them back; anything else is INVALID_REQUEST.
+//
+// Numbers above a limit the backend enforces anyway (scan depth, wallet counts)
+// are clamped rather than rejected and reported in `adjusted`, so responses can
+// say which value was actually used.
+//
+//   const { values, adjusted } = validate({
+//     walletAddress: address({ required: true, onCurve: true }),
+//     scanDepth: integer({ min: 1, max: 50, clamp: true, default: 50 })
+//   }, body);
+
+// Batch scans analyze one wallet after another inside the scan's time budget
+// (see api/solana-scan.js). A 50-transaction analysis takes about 2.5s, so the
+// cap is the number of those that fit.
+const BATCH_SCAN_BUDGET_MS = 50000;
+const WALLET_ANALYSIS_ESTIMATE_MS = 2500;
+export const MAX_BATCH_WALLETS = Math.floor(BATCH_SCAN_BUDGET_MS / WALLET_ANALYSIS_ESTIMATE_MS);
+export const MAX_RPC_ENDPOINTS = 10;
+export const MAX_FUNDING_SOURCES = 200;
+// Same cap as discovery jobs
+export const MAX_DISCOVERY_WALLETS = 1000;
+
+class FieldError extends Error {
+  constructor(field, message, { address = null } = {}) {
+    super(`${field} ${message}`);
+    this.field = field;
+    this.fieldMessage = message;
+    this.address = address;
+  }
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Wraps a check with the required/default handling every rule shares.
+// `required` may be a function of the whole input, for fields that depend on another.
+function rule(check, { required = false, default: fallback } = {}) {
+  return (value, field, context) => {
+    if (isMissing(value)) {
+      const isRequired = typeof required === 'function' ? required(context.input) : required;
+      if (isRequired) throw new FieldError(field, 'is required');
+      return fallback;
+    }
+    return check(value, field, context);
+  };
+}
+
+export function string({ maxLength = 200, ...options } = {}) {
+  return rule((value, field) => {
+    if (typeof value !== 'string') throw new FieldError(field, 'must be a string');
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) throw new FieldError(field, `must be at most ${maxLength} characters`);
+    return trimmed;
+  }, options);
+}
+
+export function oneOf(values, options = {}) {
+  return rule((value, field) => {
+    if (!values.includes(value)) throw new FieldError(field, `must be one of: ${values.join(', ')}`);
+    return value;
+  }, options);
+}
+
+// Query strings carry 'true'/'false'
+export function boolean(options = {}) {
+  return rule((value, field) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new FieldError(field, 'must be true or false');
+  }, options);
+}
+
+export function number({ min = -Infinity, max = Infinity, exclusiveMin = false, ...options } = {}) {
+  return rule((value, field) => {
+    const parsed = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) throw new FieldError(field, 'must be a number');
+    if (exclusiveMin ? parsed <= min : parsed < min) throw new FieldError(field, `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}`);
+    if (parsed > max) throw new FieldError(field, `must be at most ${max}`);
+    return parsed;
+  }, options);
+}
+
+// With `clamp`, values above `max` are lowered to it and reported in `adjusted`
+export function integer({ min = -Infinity, max = Infinity, clamp = false, ...options } = {}) {
+  return rule((value, field, context) => {
+    const parsed = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value.trim()) : value;
+    if (!Number.isInteger(parsed)) throw new FieldError(field, 'must be an integer');
+    if (parsed < min) throw new FieldError(field, `must be at least ${min}`);
+    if (parsed > max) {
+      if (!clamp) throw new FieldError(field, `must be at most ${max}`);
+      context.adjusted[field] = { requested: parsed, effective: max, reason: `${field} is limited to ${max}` };
+      return max;
+    }
+    return parsed;
+  }, options);
+}
+
+// Any Date.parse-able time, returned as an ISO string
+export function date(options = {}) {
+  return rule((value, field) => {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new FieldError(field, 'must be an ISO date/time');
+    return new Date(time).toISOString();
+  }, options);
+}
+
+// Base58 Solana public key (32 bytes). `onCurve` also requires an ed25519
+// point, i.e. a key that can sign: wallets can, program-derived addresses cannot.
+export function address({ onCurve = false, ...options } = {}) {
+  return rule((value, field) => {
+    const text = typeof value === 'string' ? value.trim() : String(value);
+    let key;
+    try {
+      key = new PublicKey(text);
+    } catch (error) {
+      throw new FieldError(field, 'is not a base58 Solana address', { address: text });
+    }
+    if (onCurve && !PublicKey.isOnCurve(key.toBytes())) {
+      throw new FieldError(field, 'is a program-derived address, not a wallet (ed25519) key', { address: text });
+    }
+    return key.toBase58();
+  }, options);
+}
+
+export function url({ protocols = ['http:', 'https:'], ...options } = {}) {
+  return rule((value, field) => {
+    let parsed;
+    try {
+      parsed = new URL(String(value).trim());
+    } catch (error) {
+      throw new FieldError(field, 'is not a valid URL');
+    }
+    if (!protocols.includes(parsed.protocol)) throw new FieldError(field, `must use ${protocols.join(' or ')}`);
+    return String(value).trim();
+  }, options);
+}
+
+// Array of `min` to `max` entries, each checked with `of` as `field[i]`
+export function list({ of = null, min = 0, max = Infinity, ...options } = {}) {
+  return rule((value, field, context) => {
+    if (!Array.isArray(value)) throw new FieldError(field, 'must be an array');
+    if (value.length < min) throw new FieldError(field, `must have at least ${min} ${min === 1 ? 'entry' : 'entries'}`);
+    if (value.length > max) throw new FieldError(field, `has ${value.length} entries; at most ${max} are allowed per request`);
+    if (!of) return value;
+    return value.map((entry, i) => runRule(of, entry, `${field}[${i}]`, context));
+  }, options);
+}
+
+// Plain object; with a schema its fields are checked as `field.name` and
+// unlisted fields are kept as they are
+export function object(schema = null, options = {}) {
+  return rule((value, field, context) => {
+    if (typeof value !== 'object' || Array.isArray(value)) throw new FieldError(field, 'must be an object');
+    if (!schema) return value;
+    const cleaned = { ...value };
+    for (const [name, fieldRule] of Object.entries(schema)) {
+      const result = runRule(fieldRule, value[name], `${field}.${name}`, context);
+      if (result !== undefined) cleaned[name] = result;
+    }
+    return cleaned;
+  }, options);
+}
+
+// Collects the error instead of throwing so every field gets reported
+function runRule(fieldRule, value, field, context) {
+  try {
+    return fieldRule(value, field, context);
+  } catch (error) {
+    if (!(error instanceof FieldError)) throw error;
+    context.errors.push(error);
+    return undefined;
+  }
+}
+
+export function validate(schema, input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const context = { input: source, errors: [], adjusted: {} };
+  const values = {};
+
+  for (const [field, fieldRule] of Object.entries(schema)) {
+    const value = runRule(fieldRule, source[field], field, context);
+    if (value !== undefined) values[field] = value;
+  }
+
+  if (context.errors.length > 0) {
+    const fieldErrors = context.errors.map(error => ({ field: error.field, message: error.fieldMessage }));
+    const invalidAddresses = context.errors.filter(error => error.address).map(error => error.address);
+    const onlyAddresses = invalidAddresses.length === context.errors.length;
+    const summary = onlyAddresses
+      ? `Invalid address${invalidAddresses.length === 1 ? '' : 'es'}: ${context.errors.map(error => `${error.field} (${error.address}) ${error.fieldMessage}`).join('; ')}`
+      : `Invalid request: ${context.errors.map(error => error.message).join('; ')}`;
+    throw new ScanError(onlyAddresses ? 'INVALID_ADDRESS' : 'INVALID_REQUEST', summary, {
+      fieldErrors,
+      invalidAddresses: invalidAddresses.length > 0 ? invalidAddresses : undefined
+    });
+  }
+
+  return { values, adjusted: context.adjusted };
+}
+
+// Fields every RPC-backed route accepts
+export const RPC_FIELDS = {
+  rpcEndpoint: url(),
+  rpcEndpoints: list({ of: url(), max: MAX_RPC_ENDPOINTS })
+};
+
+export const FUNDING_SOURCES_FIELD = list({
+  of: object({ address: address({ required: true }), label: string(), type: string({ maxLength: 40 }) }),
+  max: MAX_FUNDING_SOURCES
+});
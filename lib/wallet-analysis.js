@@ -0,0 +1,363 @@
+import { PublicKey } from '@solana/web3.js';
+import { createFundingRegistry } from './funding-sources.js';
+import { resolveRuleset, evaluateRules } from './insider-rules.js';
+import { decodeWalletTransaction } from './swap-decoder.js';
+import { findWalletGenesis } from './wallet-genesis.js';
+import { buildRoundTrips, buildPositionLedger } from './positions.js';
+import { createTransactionFetcher } from './transaction-fetcher.js';
+import { computeInsiderScore } from './insider-score.js';
+import { tagTokenEntries } from './token-context.js';
+import { ScanError, describeFailure } from './errors.js';
+
+// Deep single-wallet analysis for the Analyzer.
+//
+// Unlike the scanner's 50-transaction window, this pages the wallet's full
+// history (up to `depth` signatures), decodes every swap into a ledger and
+// measures the wallet's actual behaviour:
+//   earlyEntry  share of tokens bought within the early-entry window of the
+//               token's launch (see token-context.js)
+//   quickExit   share of round trips closed within the quick-trade window
+//   winRate     share of profitable round trips
+//   washTrading share of round-trip volume that was closed within the
+//               quick-trade window
+// Each becomes a pattern with a 0-100 confidence, and the recommendations are
+// derived from the same numbers.
+
+export const DEFAULT_ANALYSIS_DEPTH = 1000;
+export const MAX_ANALYSIS_DEPTH = 5000;
+
+const PAGE_SIZE = 1000;
+
+// Transactions handed to the fetcher at a time, so the deadline is checked between rounds
+const FETCH_ROUND = 200;
+
+// Most recently bought mints whose launch context is looked up
+const MAX_LAUNCH_LOOKUPS = 10;
+
+// Fewer samples than this and a pattern's confidence is scaled down
+const MIN_CONFIDENT_SAMPLES = 5;
+
+const HOLD_BUCKETS = [
+  { label: '< 1 min', maxSeconds: 60 },
+  { label: '1-5 min', maxSeconds: 300 },
+  { label: '5-60 min', maxSeconds: 3600 },
+  { label: '1-24 h', maxSeconds: 86400 },
+  { label: '> 24 h', maxSeconds: Infinity }
+];
+
+// Newest-first signatures of an address, paged with `before` cursors up to `depth`
+async function pageSignatures(connection, publicKey, depth, deadline) {
+  let signatures = [];
+  let before;
+  let complete = false;
+
+  while (signatures.length < depth && Date.now() < deadline) {
+    const limit = Math.min(PAGE_SIZE, depth - signatures.length);
+    const page = await connection.getSignaturesForAddress(publicKey, { limit, before });
+    signatures = signatures.concat(page);
+    if (page.length < limit) {
+      complete = true;
+      break;
+    }
+    before = page[page.length - 1].signature;
+  }
+
+  return { signatures, complete };
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+  return sorted[index];
+}
+
+// Confidence 0-100 of a ratio measured over `samples` observations
+function confidence(ratio, samples) {
+  if (ratio === null || samples === 0) return 0;
+  return Math.round(ratio * 100 * Math.min(1, samples / MIN_CONFIDENT_SAMPLES));
+}
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return 'n/a';
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) return `${(seconds / 60).toFixed(1)} min`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+  return `${(seconds / 86400).toFixed(1)} days`;
+}
+
+export function holdTimeDistribution(roundTrips) {
+  const holds = roundTrips.map(trip => trip.holdSeconds).filter(hold => hold !== null).sort((a, b) => a - b);
+  let previous = -Infinity;
+  const buckets = HOLD_BUCKETS.map(bucket => {
+    const count = holds.filter(hold => hold > previous && hold <= bucket.maxSeconds).length;
+    previous = bucket.maxSeconds;
+    return { label: bucket.label, count, share: holds.length > 0 ? count / holds.length : 0 };
+  });
+
+  return {
+    samples: holds.length,
+    minSeconds: holds.length > 0 ? holds[0] : null,
+    p25Seconds: percentile(holds, 0.25),
+    medianSeconds: percentile(holds, 0.5),
+    p75Seconds: percentile(holds, 0.75),
+    maxSeconds: holds.length > 0 ? holds[holds.length - 1] : null,
+    buckets
+  };
+}
+
+// Pattern metrics and their confidences from the ledger
+export function measurePatterns({ trades, roundTrips, entries }, ruleset = resolveRuleset()) {
+  const quickWindow = ruleset.rules.quickTrades.params.maxHoldSeconds;
+  const earlyWindow = ruleset.rules.earlyEntry.params.maxMinutes * 60;
+
+  const timedEntries = entries.filter(entry => entry.secondsAfterLaunch !== null);
+  const earlyEntries = timedEntries.filter(entry => entry.secondsAfterLaunch <= earlyWindow);
+  const timedTrips = roundTrips.filter(trip => trip.holdSeconds !== null);
+  const quickTrips = timedTrips.filter(trip => trip.holdSeconds <= quickWindow);
+  const winningTrips = roundTrips.filter(trip => trip.pnlSol > 0);
+
+  const roundTripVolume = roundTrips.reduce((sum, trip) => sum + trip.costSol + trip.proceedsSol, 0);
+  const quickVolume = quickTrips.reduce((sum, trip) => sum + trip.costSol + trip.proceedsSol, 0);
+
+  const metrics = {
+    trades: trades.length,
+    buys: trades.filter(trade => trade.side === 'buy').length,
+    sells: trades.filter(trade => trade.side === 'sell').length,
+    tradedMints: new Set(trades.map(trade => trade.mint)).size,
+    volumeSol: trades.reduce((sum, trade) => sum + trade.solAmount, 0),
+    roundTrips: roundTrips.length,
+    realizedPnlSol: roundTrips.reduce((sum, trip) => sum + trip.pnlSol, 0),
+    earlyEntryWindowSeconds: earlyWindow,
+    entriesWithLaunch: timedEntries.length,
+    launchContextUnavailable: entries.filter(entry => entry.launchContextUnavailable).length,
+    earlyEntries: earlyEntries.length,
+    earlyEntryRate: timedEntries.length > 0 ? earlyEntries.length / timedEntries.length : null,
+    medianSecondsAfterLaunch: percentile(timedEntries.map(entry => entry.secondsAfterLaunch).sort((a, b) => a - b), 0.5),
+    quickTradeWindowSeconds: quickWindow,
+    quickExits: quickTrips.length,
+    quickExitRate: timedTrips.length > 0 ? quickTrips.length / timedTrips.length : null,
+    winRate: roundTrips.length > 0 ? winningTrips.length / roundTrips.length : null,
+    washRatio: roundTripVolume > 0 ? quickVolume / roundTripVolume : null,
+    holdTime: holdTimeDistribution(roundTrips)
+  };
+
+  const patterns = [
+    {
+      type: 'Early Entry',
+      confidence: confidence(metrics.earlyEntryRate, timedEntries.length),
+      samples: timedEntries.length,
+      description: timedEntries.length > 0
+        ? `${earlyEntries.length}/${timedEntries.length} tokens bought within ${formatDuration(earlyWindow)} of launch (median ${formatDuration(metrics.medianSecondsAfterLaunch)} after launch)`
+        : 'No traded token with a known launch time'
+    },
+    {
+      type: 'Quick Exit',
+      confidence: confidence(metrics.quickExitRate, timedTrips.length),
+      samples: timedTrips.length,
+      description: timedTrips.length > 0
+        ? `${quickTrips.length}/${timedTrips.length} round trips closed within ${formatDuration(quickWindow)} (median hold ${formatDuration(metrics.holdTime.medianSeconds)})`
+        : 'No closed round trips'
+    },
+    {
+      type: 'High Win Rate',
+      confidence: confidence(metrics.winRate, roundTrips.length),
+      samples: roundTrips.length,
+      description: roundTrips.length > 0
+        ? `${winningTrips.length}/${roundTrips.length} round trips profitable, ${metrics.realizedPnlSol.toFixed(4)} SOL realized`
+        : 'No closed round trips'
+    },
+    {
+      type: 'Wash Trading',
+      confidence: confidence(metrics.washRatio, timedTrips.length),
+      samples: timedTrips.length,
+      description: metrics.washRatio !== null
+        ? `${(metrics.washRatio * 100).toFixed(0)}% of round-trip volume closed within ${formatDuration(quickWindow)}`
+        : 'No round-trip volume'
+    }
+  ];
+
+  return { metrics, patterns };
+}
+
+function riskLevel(patterns) {
+  const byType = Object.fromEntries(patterns.map(pattern => [pattern.type, pattern.confidence]));
+  const score = Math.round(
+    byType['Early Entry'] * 0.35 + byType['High Win Rate'] * 0.25 + byType['Wash Trading'] * 0.25 + byType['Quick Exit'] * 0.15
+  );
+  return { riskScore: score, riskLevel: score >= 60 ? 'HIGH' : score >= 30 ? 'MEDIUM' : 'LOW' };
+}
+
+export function buildRecommendations({ metrics, patterns, history, positions }) {
+  const byType = Object.fromEntries(patterns.map(pattern => [pattern.type, pattern]));
+  const recommendations = [];
+
+  if (metrics.trades === 0) {
+    recommendations.push('No swaps in the analyzed history - nothing to follow yet');
+  }
+  if (byType['Early Entry'].confidence >= 50) {
+    recommendations.push(`Enters ${(metrics.earlyEntryRate * 100).toFixed(0)}% of tokens within ${formatDuration(metrics.earlyEntryWindowSeconds)} of launch - add it to the watchlist so the monitor alerts on its next buy`);
+  }
+  if (byType['High Win Rate'].confidence >= 60) {
+    recommendations.push(`Wins ${(metrics.winRate * 100).toFixed(0)}% of ${metrics.roundTrips} round trips - its entries are worth following`);
+  } else if (metrics.winRate !== null && metrics.roundTrips >= MIN_CONFIDENT_SAMPLES && metrics.winRate < 0.4) {
+    recommendations.push(`Only ${(metrics.winRate * 100).toFixed(0)}% of round trips are profitable - do not copy its entries`);
+  }
+  if (byType['Wash Trading'].confidence >= 50) {
+    recommendations.push(`${(metrics.washRatio * 100).toFixed(0)}% of its round-trip volume is flipped within ${formatDuration(metrics.quickTradeWindowSeconds)} - treat its volume as wash trading, not demand`);
+  }
+  if (metrics.holdTime.medianSeconds !== null && metrics.holdTime.medianSeconds <= 300) {
+    recommendations.push(`Median hold is ${formatDuration(metrics.holdTime.medianSeconds)} - a copied entry has to exit faster than that`);
+  }
+  const openPositions = positions.filter(position => position.status === 'open');
+  if (openPositions.length > 0 && byType['Early Entry'].confidence >= 50) {
+    recommendations.push(`Holds ${openPositions.length} open position${openPositions.length === 1 ? '' : 's'} - watch for exits in ${openPositions.slice(0, 3).map(position => position.mint.slice(0, 8)).join(', ')}`);
+  }
+  if (!history.complete) {
+    recommendations.push(`History stops at ${history.signatures} signatures - raise the depth for a complete picture`);
+  }
+  if (metrics.tradedMints > 0 && metrics.entriesWithLaunch < metrics.tradedMints) {
+    recommendations.push(`Launch time unknown for ${metrics.tradedMints - metrics.entriesWithLaunch} of ${metrics.tradedMints} tokens - early-entry confidence only covers the rest`);
+  }
+  if (metrics.launchContextUnavailable > 0) {
+    recommendations.push(`Launch context unavailable for ${metrics.launchContextUnavailable} token${metrics.launchContextUnavailable === 1 ? '' : 's'} (time budget or lookup failure) - rerun to fill them in`);
+  }
+  if (recommendations.length === 0) {
+    recommendations.push('No strong pattern - nothing here suggests insider activity');
+  }
+
+  return recommendations;
+}
+
+// Full analysis of one wallet. Returns the ledger, metrics, patterns,
+// recommendations and the rule engine's verdict over the same data.
+export async function analyzeWalletDeep(connection, address, options = {}) {
+  const {
+    depth = DEFAULT_ANALYSIS_DEPTH,
+    fundingRegistry = createFundingRegistry(),
+    ruleset = resolveRuleset(),
+    deadline = Infinity,
+    failures = []
+  } = options;
+
+  let publicKey;
+  try {
+    publicKey = new PublicKey(address);
+  } catch (error) {
+    throw new ScanError('INVALID_ADDRESS', `Invalid wallet address: ${address}`);
+  }
+
+  const effectiveDepth = Math.min(Math.max(parseInt(depth, 10) || DEFAULT_ANALYSIS_DEPTH, 1), MAX_ANALYSIS_DEPTH);
+  const { signatures, complete } = await pageSignatures(connection, publicKey, effectiveDepth, deadline);
+  console.log(`Deep analysis ${address}: ${signatures.length} signatures (complete: ${complete})`);
+
+  // Decode the whole history, newest first, until the deadline
+  const fetcher = createTransactionFetcher(connection);
+  const usable = signatures.filter(sig => !sig.err);
+  const trades = [];
+  let fetchedCount = 0;
+  let decodedCount = 0;
+
+  for (let i = 0; i < usable.length && Date.now() < deadline; i += FETCH_ROUND) {
+    const round = usable.slice(i, i + FETCH_ROUND);
+    const fetched = await fetcher.fetchMany(round.map(sig => sig.signature));
+    fetchedCount += round.length;
+
+    fetched.forEach(({ signature, tx, error }, index) => {
+      if (error) {
+        failures.push(describeFailure({ address, stage: 'analysis', signature }, error));
+        return;
+      }
+      const decoded = decodeWalletTransaction(tx, address, signature);
+      if (!decoded) return;
+      decodedCount++;
+      const blockTime = decoded.blockTime || round[index].blockTime || null;
+      for (const trade of decoded.trades) {
+        trades.push({ ...trade, signature: decoded.signature, blockTime });
+      }
+    });
+  }
+
+  const truncated = fetchedCount < usable.length;
+  if (truncated) console.warn(`Deep analysis ${address}: deadline reached after ${fetchedCount}/${usable.length} transactions`);
+
+  let genesis = null;
+  try {
+    // Continues one page past the history paged above while time is left; a
+    // genesis still short of the first signature is reported as partial
+    genesis = await findWalletGenesis(connection, address, {
+      fundingRegistry,
+      transactionFetcher: fetcher,
+      maxPages: Date.now() < deadline ? 1 : 0,
+      initialSignatures: signatures,
+      initialLimit: complete ? Infinity : signatures.length
+    });
+  } catch (genesisError) {
+    console.warn('Wallet genesis lookup failed:', address, genesisError.message);
+  }
+
+  // Launch context of the most recently bought mints; buys are tagged in place
+  const entries = await tagTokenEntries(connection, address, trades, {
+    maxMints: MAX_LAUNCH_LOOKUPS,
+    deadline,
+    transactionFetcher: fetcher,
+    failures
+  });
+
+  const { roundTrips, unmatchedSells } = buildRoundTrips(trades);
+  const positions = buildPositionLedger(trades);
+  const { metrics, patterns } = measurePatterns({ trades, roundTrips, entries }, ruleset);
+
+  const genesisSource = genesis && genesis.firstFunder ? fundingRegistry.get(genesis.firstFunder) : null;
+  const funding = genesisSource ? {
+    source: genesis.firstFunder,
+    sourceLabel: genesisSource.label,
+    sourceType: genesisSource.type,
+    amountSol: genesis.firstFundingAmount,
+    preBalanceLamports: genesis.firstFundingPreBalance,
+    signature: genesis.firstFundingSignature,
+    blockTime: genesis.firstFundingAt
+  } : null;
+
+  const ruleResults = evaluateRules({
+    wallet: address,
+    funding,
+    genesis,
+    trades,
+    roundTrips,
+    entries,
+    totalProfitSol: metrics.realizedPnlSol
+  }, ruleset);
+
+  const scoreBreakdown = computeInsiderScore({ funding, genesis, roundTrips, entries }, ruleset);
+
+  const history = {
+    depth: effectiveDepth,
+    requestedDepth: depth,
+    signatures: signatures.length,
+    decoded: decodedCount,
+    complete,
+    truncated,
+    firstSeenAt: signatures.length > 0 ? signatures[signatures.length - 1].blockTime || null : null,
+    lastSeenAt: signatures.length > 0 ? signatures[0].blockTime || null : null
+  };
+
+  return {
+    wallet: address,
+    history,
+    genesis,
+    funding,
+    metrics,
+    patterns,
+    ...riskLevel(patterns),
+    recommendations: buildRecommendations({ metrics, patterns, history, positions }),
+    entries,
+    roundTrips,
+    unmatchedSells,
+    positions,
+    isInsider: ruleResults.isInsider,
+    ruleResults,
+    insiderScore: scoreBreakdown.score,
+    scoreBreakdown,
+    analyzedAt: new Date().toISOString()
+  };
+}
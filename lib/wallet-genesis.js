@@ -0,0 +1,117 @@
+import { PublicKey } from '@solana/web3.js';
+import { decodeWalletTransaction, findSolSender } from './swap-decoder.js';
+
+// Wallet genesis detection.
+//
+// Pages getSignaturesForAddress backwards with `before` cursors until the
+// oldest signature is reached, then decodes the oldest transactions to find
+// the first inbound SOL transfer, who sent it, and when the first swap happened.
+
+const PAGE_SIZE = 1000;
+
+// How many of the oldest transactions to decode looking for the funding and first swap
+const GENESIS_WINDOW = 10;
+
+export async function findWalletGenesis(connection, address, options = {}) {
+  const {
+    fundingRegistry = null,
+    transactionFetcher = null, // shared batched fetcher; the oldest transactions are fetched in one go
+    maxPages = 5,
+    initialSignatures = null,  // newest-first signatures already fetched by the caller
+    initialLimit = null        // the limit those were requested with
+  } = options;
+
+  const publicKey = new PublicKey(address);
+  let signatures = [];
+  let complete = false;
+  let pagesScanned = 0;
+
+  // The caller's signatures are the newest part of the history: complete when
+  // they already reach its start, otherwise paging goes on from the oldest one
+  if (initialSignatures && initialLimit) {
+    signatures = initialSignatures;
+    complete = initialSignatures.length < initialLimit;
+  }
+
+  let before = signatures.length > 0 ? signatures[signatures.length - 1].signature : undefined;
+  while (!complete && pagesScanned < maxPages) {
+    const page = await connection.getSignaturesForAddress(publicKey, { limit: PAGE_SIZE, before });
+    pagesScanned++;
+    signatures = signatures.concat(page);
+
+    if (page.length < PAGE_SIZE) {
+      complete = true;
+    } else {
+      before = page[page.length - 1].signature;
+    }
+  }
+
+  const genesis = {
+    complete,
+    pagesScanned,
+    signatureCount: signatures.length,
+    firstSeenAt: null,
+    firstSignature: null,
+    firstFunder: null,
+    firstFunderLabel: null,
+    firstFunderRegistered: false,
+    firstFundingSignature: null,
+    firstFundingAt: null,
+    firstFundingAmount: null,
+    firstFundingPreBalance: null,
+    firstTransactionIsFunding: false,
+    firstSwapAt: null,
+    fundingToFirstSwapSeconds: null
+  };
+
+  if (signatures.length === 0) return genesis;
+
+  // Oldest first
+  const oldest = signatures.slice(-GENESIS_WINDOW).reverse();
+  genesis.firstSignature = oldest[0].signature;
+  genesis.firstSeenAt = oldest[0].blockTime || null;
+
+  let earliestSwapAt = null;
+
+  const fetched = transactionFetcher
+    ? await transactionFetcher.fetchMany(oldest.map(sig => sig.signature))
+    : null;
+
+  for (let i = 0; i < oldest.length; i++) {
+    const tx = fetched
+      ? fetched[i].tx
+      : await connection.getTransaction(oldest[i].signature, { maxSupportedTransactionVersion: 0 });
+    const decoded = decodeWalletTransaction(tx, address, oldest[i].signature);
+    if (!decoded) continue;
+
+    const blockTime = decoded.blockTime || oldest[i].blockTime || null;
+
+    if (!genesis.firstFundingSignature && decoded.solChangeLamports > 0 && decoded.trades.length === 0) {
+      const sender = findSolSender(tx, address, decoded.accountKeys);
+      genesis.firstFundingSignature = decoded.signature;
+      genesis.firstFundingAt = blockTime;
+      genesis.firstFundingAmount = decoded.solChangeLamports / 1e9;
+      genesis.firstFundingPreBalance = decoded.walletPreBalance;
+      genesis.firstTransactionIsFunding = complete && i === 0;
+
+      if (sender) {
+        const source = fundingRegistry ? fundingRegistry.get(sender.address) : null;
+        genesis.firstFunder = sender.address;
+        genesis.firstFunderLabel = source ? source.label : null;
+        genesis.firstFunderRegistered = Boolean(source);
+      }
+    }
+
+    if (decoded.trades.length > 0) {
+      earliestSwapAt = blockTime;
+      break;
+    }
+  }
+
+  genesis.firstSwapAt = earliestSwapAt;
+  if (genesis.firstFundingAt && genesis.firstSwapAt) {
+    genesis.fundingToFirstSwapSeconds = genesis.firstSwapAt - genesis.firstFundingAt;
+  }
+
+  return genesis;
+}
@@ -0,0 +1,126 @@
+import { PublicKey } from '@solana/web3.js';
+import { deleteRecord, listRecords, readRecord, writeRecord } from './store.js';
+import { ScanError } from './errors.js';
+
+// Persistent watchlist of tracked wallets, one store record per address.
+//
+// Each entry keeps the user's annotations (label, tags, notes), where the
+// wallet came from (`source`: scan type, job id, when it was scanned) and the
+// last verdict a scan produced, so the Analyzer and monitor can work from the
+// watchlist instead of whatever the last scan returned.
+
+const COLLECTION = 'watchlist';
+
+const MAX_TAGS = 20;
+const MAX_NOTES_LENGTH = 2000;
+
+// Buy legs kept with a verdict, for the convergence detector
+const MAX_VERDICT_ENTRIES = 50;
+
+function normalizeAddress(address) {
+  try {
+    return new PublicKey(String(address || '').trim()).toBase58();
+  } catch (error) {
+    throw new ScanError('INVALID_ADDRESS', `Invalid wallet address: ${address}`);
+  }
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean))).slice(0, MAX_TAGS);
+}
+
+// Token buys from a scan result's position ledger, newest first
+function entriesFromScan(wallet) {
+  if (Array.isArray(wallet.entries)) return wallet.entries.slice(0, MAX_VERDICT_ENTRIES);
+
+  const entries = [];
+  for (const position of wallet.positions || []) {
+    for (const leg of position.buys || []) {
+      entries.push({
+        mint: position.mint,
+        blockTime: leg.blockTime,
+        solAmount: leg.solAmount,
+        tokenAmount: leg.tokenAmount,
+        signature: leg.signature
+      });
+    }
+  }
+  return entries.sort((a, b) => (b.blockTime || 0) - (a.blockTime || 0)).slice(0, MAX_VERDICT_ENTRIES);
+}
+
+// The parts of a scan result worth keeping as the wallet's last verdict
+export function verdictFromScan(wallet) {
+  if (!wallet) return null;
+  return {
+    isInsider: Boolean(wallet.isInsider),
+    reason: wallet.insiderReason || wallet.reason || null,
+    score: wallet.ruleResults ? wallet.ruleResults.score : (wallet.score !== undefined ? wallet.score : null),
+    insiderScore: typeof wallet.insiderScore === 'number' ? wallet.insiderScore : null,
+    fundingSource: wallet.fundingSource || null,
+    fundingSourceLabel: wallet.fundingSourceLabel || null,
+    freshWallet: wallet.freshWallet !== undefined ? wallet.freshWallet : null,
+    totalProfit: wallet.totalProfit !== undefined ? wallet.totalProfit : null,
+    patterns: wallet.detectedPatterns || wallet.patterns || [],
+    entries: entriesFromScan(wallet),
+    analyzedAt: wallet.analyzedAt || new Date().toISOString()
+  };
+}
+
+// Apply user-editable fields from a request body onto an entry
+function applyFields(entry, fields) {
+  if (fields.label !== undefined) entry.label = fields.label ? String(fields.label).trim() : null;
+  if (fields.tags !== undefined) entry.tags = normalizeTags(fields.tags);
+  if (fields.notes !== undefined) entry.notes = fields.notes ? String(fields.notes).slice(0, MAX_NOTES_LENGTH) : null;
+  if (fields.source !== undefined) entry.source = fields.source || null;
+  if (fields.verdict !== undefined) entry.lastVerdict = fields.verdict ? verdictFromScan(fields.verdict) : null;
+  return entry;
+}
+
+export async function listWatchlist({ tag } = {}) {
+  const entries = await listRecords(COLLECTION);
+  return entries
+    .filter(entry => !tag || entry.tags.includes(tag))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getWatchlistEntry(address) {
+  return readRecord(COLLECTION, normalizeAddress(address));
+}
+
+// Add a wallet, or update it when it is already on the watchlist.
+// Returns { entry, created }.
+export async function addToWatchlist(fields) {
+  const address = normalizeAddress(fields.address);
+  const existing = await readRecord(COLLECTION, address);
+  const now = new Date().toISOString();
+
+  const entry = existing || {
+    address,
+    label: null,
+    tags: [],
+    notes: null,
+    source: null,
+    lastVerdict: null,
+    addedAt: now
+  };
+  applyFields(entry, fields);
+  entry.updatedAt = now;
+
+  await writeRecord(COLLECTION, address, entry);
+  return { entry, created: !existing };
+}
+
+// Returns null when the wallet is not on the watchlist
+export async function updateWatchlistEntry(address, fields) {
+  const entry = await getWatchlistEntry(address);
+  if (!entry) return null;
+
+  applyFields(entry, fields);
+  entry.updatedAt = new Date().toISOString();
+  return writeRecord(COLLECTION, entry.address, entry);
+}
+
+export function removeFromWatchlist(address) {
+  return deleteRecord(COLLECTION, normalizeAddress(address));
+}
@@ -0,0 +1,93 @@
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Local server for running the tracker without Vercel.
+//
+// Mounts every function under api/ at the same path Vercel serves it from
+// (api/wallet/[address]/graph.js -> /api/wallet/:address/graph) and serves the
+// web app at /. Route parameters are merged into req.query the way Vercel
+// passes dynamic segments, so the handlers run unchanged.
+//
+//   PORT=3000 npm run start:local
+//   RPC_FIXTURE_MODE=replay RPC_FIXTURE_FILE=fixtures/scan.json npm run start:local
+//
+// The second form answers every RPC call from a recorded fixture (see
+// lib/rpc-fixtures.js), so the whole API runs offline.
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT, 'api');
+const PORT = Number(process.env.PORT) || 3000;
+
+// api/wallet/[address]/graph.js -> /api/wallet/:address/graph
+function routeForFile(relativePath) {
+  const segments = relativePath.replace(/\.js$/, '').split(path.sep)
+    .map(segment => segment.replace(/^\[(.+)\]$/, ':$1'));
+  if (segments[segments.length - 1] === 'index') segments.pop();
+  return '/api/' + segments.join('/');
+}
+
+async function findApiFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await findApiFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.name.endsWith('.js')) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+export async function createLocalApp() {
+  const app = express();
+  // Handlers set their own CORS headers and answer their own preflights, as on
+  // Vercel; the middleware only covers the static routes
+  app.use(cors({ preflightContinue: true }));
+
+  // Bodies reach the handlers as strings; parseJsonBody() parses them and
+  // answers invalid JSON with the usual INVALID_REQUEST envelope
+  app.use(express.text({ type: () => true, limit: '5mb' }));
+
+  const files = await findApiFiles(API_DIR);
+  // Static routes before dynamic ones, so /api/wallet/:address never shadows a named route
+  files.sort((a, b) => Number(a.includes('[')) - Number(b.includes('[')) || a.localeCompare(b));
+
+  for (const file of files) {
+    const route = routeForFile(file);
+    const { default: handler } = await import(pathToFileURL(path.join(API_DIR, file)).href);
+    if (typeof handler !== 'function') {
+      console.warn(`Skipping ${file}: no default export handler`);
+      continue;
+    }
+
+    app.all(route, async (req, res) => {
+      Object.assign(req.query, req.params);
+      try {
+        await handler(req, res);
+      } catch (error) {
+        console.error(`Unhandled error in ${route}:`, error);
+        if (!res.headersSent) {
+          res.status(500).json({ success: false, code: 'INTERNAL', error: error.message });
+        } else if (!res.writableEnded) {
+          res.end();
+        }
+      }
+    });
+    console.log(`Mounted ${route}`);
+  }
+
+  app.get('/', (req, res) => res.sendFile(path.join(ROOT, 'insider-tracker-web.html')));
+
+  return app;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const app = await createLocalApp();
+  app.listen(PORT, () => {
+    console.log(`DCA Tracker local server on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,218 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createLocalApp } from './server-local.js';
+import { MAX_BATCH_WALLETS } from './lib/validation.js';
+
+// Smoke check of the API as mounted by server-local.js.
+//
+// Starts the local app on a free port (or checks BASE_URL when set, e.g. a
+// running `vercel dev` or a deployment) and exercises every function: CORS
+// preflights, read-only GETs and request validation errors everywhere, plus the
+// replayed scans below when local. The health check does probe RPC, but passes
+// whether or not the endpoints answer. Prints one line per check; exits 1 when
+// any fails.
+//
+// Locally the app also gets a throwaway data directory and alert channels
+// (webhook, Telegram, Discord) pointing at an HTTP stand-in started here, so
+// alert delivery is checked end to end without sending anything out.
+//
+// Locally RPC is replayed from REPLAY_FIXTURE (see lib/rpc-fixtures.js), so a
+// wallet scan and an auto-discovery run offline through the whole insider
+// analysis. That fixture is not a mainnet recording: it is generated by
+// fixtures/generate-insider-scan.js, which records these same requests against
+// a synthetic ledger served by a JSON-RPC stand-in. REPLAY_FUNDER funds
+// REPLAY_WALLET (fresh, 1.5 SOL), an already funded wallet and one with 10 SOL;
+// REPLAY_WALLET then makes four 30-second round trips on one Pump.fun token and
+// one profitable 20-minute trip on another. When the analysis starts asking the
+// RPC for something the fixture lacks, replay fails with FIXTURE_MISSING:
+// regenerate it (`node fixtures/generate-insider-scan.js`) and update the
+// expectations to match.
+//
+//   npm run test:local
+//   BASE_URL=https://dca-tracker-v2.vercel.app npm run test:local
+
+// Well-formed address with no history; only used where validation fails first
+const SAMPLE_WALLET = '11111111111111111111111111111111';
+
+const REPLAY_FIXTURE = new URL('./fixtures/insider-scan.json', import.meta.url).pathname;
+const REPLAY_FUNDER = 'AKnL4NNf3DGWZJS6cPknBuEGnVsV4A4m5tgebLHaRSZ9';
+const REPLAY_WALLET = '9hSR6S7WPtxmTojgo6GG3k4yDPecgJY292j7xrsUGWBu';
+const REPLAY_FUNDING_SOURCES = [{ address: REPLAY_FUNDER, label: 'Replay Funder', type: 'exchange' }];
+
+const CHECK_TIMEOUT_MS = 15000;
+
+const LOCAL_ADMIN_SECRET = 'local-check-secret';
+const TELEGRAM_TOKEN = '123:local';
+
+// Records what the alert stand-in received; its Discord route answers the first post with a 429
+const standIn = { url: null, requests: [] };
+
+function startStandIn() {
+  let discordPosts = 0;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      standIn.requests.push({ path: req.url, body: JSON.parse(raw || '{}') });
+      if (req.url === '/discord' && ++discordPosts === 1) {
+        res.writeHead(429, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ retry_after: 0.05 }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"ok":true}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function deliveredTestAlerts(res, body) {
+  const { deliveries } = JSON.parse(body);
+  const paths = standIn.requests.map(request => request.path).sort();
+  const discord = deliveries.find(entry => entry.channelId === 'env-discord');
+  return deliveries.length === 3 &&
+    deliveries.every(entry => entry.status === 'sent') &&
+    discord.attempts === 2 &&
+    paths.join() === [`/bot${TELEGRAM_TOKEN}/sendMessage`, '/discord', '/discord', '/webhook'].join() &&
+    standIn.requests.every(request => JSON.stringify(request.body).includes('Test alert from DCA Tracker'));
+}
+
+// The replayed wallet passes every default insider rule on the recorded trades
+function replayedInsider(wallet) {
+  return Boolean(wallet) &&
+    wallet.address === REPLAY_WALLET &&
+    wallet.isInsider === true &&
+    wallet.fundingSource === REPLAY_FUNDER &&
+    wallet.fundingAmount === '1.5000' &&
+    wallet.freshWallet === true &&
+    wallet.genesis.firstTransactionIsFunding === true &&
+    wallet.quickTrades === 4 &&
+    wallet.goodPlays === 1 &&
+    wallet.totalTrades === 10 &&
+    wallet.launchEntries.length === 2 &&
+    wallet.launchEntries.every(entry => entry.entryRank === 1);
+}
+
+// Only the fresh wallet funded within range is discovered and analyzed
+function discoveredReplayedInsider(res, body) {
+  const { wallets, totalScanned, failures } = JSON.parse(body);
+  return totalScanned === 1 && wallets.length === 1 && replayedInsider(wallets[0]) && failures.length === 0;
+}
+
+const CHECKS = [
+  { name: 'web app', path: '/', expect: 200, local: true, check: (res, body) => body.includes('<html') },
+  { name: 'scan preflight', method: 'OPTIONS', path: '/api/solana-scan', expect: 200, check: res => res.headers.get('access-control-allow-origin') === '*' },
+  { name: 'health', path: '/api/health', expect: [200, 503], check: (res, body) => ['ok', 'degraded', 'down'].includes(JSON.parse(body).status) },
+  { name: 'health invalid JSON', method: 'POST', path: '/api/health', rawBody: '{not json', expect: 400, code: 'INVALID_REQUEST' },
+  { name: 'scan without body', method: 'POST', path: '/api/solana-scan', expect: 400 },
+  { name: 'scan invalid batch addresses', method: 'POST', path: '/api/solana-scan', body: { scanType: 'batch', batchWallets: [SAMPLE_WALLET, 'not-a-wallet'] }, expect: 400, code: 'INVALID_ADDRESS', check: (res, body) => JSON.parse(body).invalidAddresses.join() === 'not-a-wallet' },
+  { name: 'scan batch over limit', method: 'POST', path: '/api/solana-scan', body: { scanType: 'batch', batchWallets: Array(MAX_BATCH_WALLETS + 1).fill(SAMPLE_WALLET) }, expect: 400, code: 'INVALID_REQUEST' },
+  { name: 'replayed wallet scan', method: 'POST', path: '/api/solana-scan', body: { scanType: 'specific', walletAddress: REPLAY_WALLET, fundingSources: REPLAY_FUNDING_SOURCES }, expect: 200, local: true, check: (res, body) => JSON.parse(body).data.length === 1 && replayedInsider(JSON.parse(body).data[0]) },
+  { name: 'replayed auto-discovery', method: 'POST', path: '/api/solana-scan', body: { autoDiscoveryMode: true, maxWalletsToDiscover: 5, fundingSources: REPLAY_FUNDING_SOURCES }, expect: 200, local: true, check: discoveredReplayedInsider },
+  { name: 'scan invalid depth', method: 'POST', path: '/api/solana-scan', body: { scanType: 'specific', walletAddress: SAMPLE_WALLET, scanDepth: 'deep' }, expect: 400, code: 'INVALID_REQUEST', check: (res, body) => JSON.parse(body).fieldErrors[0].field === 'scanDepth' },
+  { name: 'funding sources', path: '/api/funding-sources', expect: 200, check: (res, body) => JSON.parse(body).success === true },
+  { name: 'watchlist', path: '/api/watchlist', expect: 200 },
+  { name: 'watchlist invalid address', method: 'POST', path: '/api/watchlist', body: { address: 'not-a-wallet' }, expect: 400, code: 'INVALID_ADDRESS' },
+  { name: 'monitor alerts', path: '/api/monitor', expect: 200 },
+  { name: 'alert channels', path: '/api/alerts', expect: 200 },
+  { name: 'alert channels without secret', method: 'POST', path: '/api/alerts', body: { channels: [] }, expect: 401, code: 'UNAUTHORIZED' },
+  { name: 'alert channel to a private address', method: 'POST', path: '/api/alerts', headers: { 'X-Admin-Secret': LOCAL_ADMIN_SECRET }, body: { channels: [{ type: 'webhook', url: 'https://169.254.169.254/latest/meta-data' }] }, expect: 400, code: 'INVALID_REQUEST', local: true },
+  { name: 'alert channel over http', method: 'POST', path: '/api/alerts', headers: { 'X-Admin-Secret': LOCAL_ADMIN_SECRET }, body: { channels: [{ type: 'discord', webhookUrl: 'http://discord.com/api/webhooks/1/x' }] }, expect: 400, code: 'INVALID_REQUEST', local: true },
+  { name: 'alert test delivery via stand-in', method: 'POST', path: '/api/alerts', headers: { 'X-Admin-Secret': LOCAL_ADMIN_SECRET }, body: { action: 'test' }, expect: 200, local: true, check: deliveredTestAlerts },
+  { name: 'discovery without job', path: '/api/discovery', expect: 400, code: 'INVALID_REQUEST' },
+  { name: 'discovery invalid JSON', method: 'POST', path: '/api/discovery', rawBody: '{not json', expect: 400, code: 'INVALID_REQUEST' },
+  { name: 'unknown discovery job', path: '/api/discovery?jobId=disc_missing', expect: 404, code: 'NOT_FOUND' },
+  { name: 'wallet graph invalid address', path: '/api/wallet/not-a-wallet/graph', expect: 400, code: 'INVALID_ADDRESS' },
+  { name: 'wallet graph invalid direction', path: `/api/wallet/${SAMPLE_WALLET}/graph?direction=sideways`, expect: 400, code: 'INVALID_REQUEST' },
+  { name: 'wallet analysis wrong method', method: 'DELETE', path: `/api/wallet/${SAMPLE_WALLET}/analysis`, expect: 405, code: 'METHOD_NOT_ALLOWED' },
+  { name: 'token context invalid mint', path: '/api/token/not-a-mint/context', expect: 400, code: 'INVALID_ADDRESS' },
+  { name: 'clusters without wallets', method: 'POST', path: '/api/clusters', body: {}, expect: 400 }
+];
+
+async function runCheck(baseUrl, check) {
+  const init = { method: check.method || 'GET', headers: { ...check.headers }, signal: AbortSignal.timeout(CHECK_TIMEOUT_MS) };
+  if (check.body || check.rawBody) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = check.rawBody || JSON.stringify(check.body);
+  }
+
+  const res = await fetch(baseUrl + check.path, init);
+  const body = await res.text();
+  const problems = [];
+
+  const expected = [].concat(check.expect);
+  if (!expected.includes(res.status)) problems.push(`status ${res.status}, expected ${expected.join(' or ')}`);
+  if (check.code) {
+    let code = null;
+    try {
+      code = JSON.parse(body).code;
+    } catch (error) {
+      problems.push('response is not JSON');
+    }
+    if (code !== null && code !== check.code) problems.push(`code ${code}, expected ${check.code}`);
+  }
+  if (check.check && problems.length === 0 && !check.check(res, body)) problems.push('unexpected response body');
+
+  return problems;
+}
+
+async function main() {
+  let server = null;
+  let alertStandIn = null;
+  let dataDir = null;
+  let baseUrl = process.env.BASE_URL;
+
+  if (!baseUrl) {
+    if (!process.env.DCA_DATA_DIR) {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dca-check-'));
+      process.env.DCA_DATA_DIR = dataDir;
+    }
+
+    alertStandIn = await startStandIn();
+    standIn.url = `http://127.0.0.1:${alertStandIn.address().port}`;
+    Object.assign(process.env, {
+      ALERTS_ADMIN_SECRET: LOCAL_ADMIN_SECRET,
+      ALERT_WEBHOOK_URL: `${standIn.url}/webhook`,
+      DISCORD_WEBHOOK_URL: `${standIn.url}/discord`,
+      TELEGRAM_BOT_TOKEN: TELEGRAM_TOKEN,
+      TELEGRAM_CHAT_ID: '42',
+      TELEGRAM_API_BASE_URL: standIn.url,
+      RPC_FIXTURE_MODE: 'replay',
+      RPC_FIXTURE_FILE: REPLAY_FIXTURE
+    });
+
+    const app = await createLocalApp();
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${server.address().port}`;
+  }
+  baseUrl = baseUrl.replace(/\/$/, '');
+  console.log(`Checking ${baseUrl}`);
+
+  const checks = CHECKS.filter(check => !(check.local && process.env.BASE_URL));
+  let failed = 0;
+  for (const check of checks) {
+    let problems;
+    try {
+      problems = await runCheck(baseUrl, check);
+    } catch (error) {
+      problems = [error.message];
+    }
+    if (problems.length > 0) failed++;
+    console.log(`${problems.length === 0 ? '✅' : '❌'} ${check.name}${problems.length > 0 ? ': ' + problems.join('; ') : ''}`);
+  }
+
+  if (server) server.close();
+  if (alertStandIn) alertStandIn.close();
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
+  console.log(`\n${checks.length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Local backend check failed:', error);
+  process.exit(1);
+});